@@ -0,0 +1,148 @@
+'use strict';
+
+var STORAGE_PREFIX = 'goong-geocoder:cache:';
+
+/**
+ * A least-recently-used response cache with expiring entries.
+ *
+ * Entries live in memory and, if a `storage` is given, are mirrored to it so they
+ * survive page reloads.
+ *
+ * @class Cache
+ * @param {Object} [options]
+ * @param {Number} [options.size=100] Maximum number of entries to keep.
+ * @param {Number} [options.ttl=3600000] Time in milliseconds an entry stays valid.
+ * @param {Storage} [options.storage] A [Web Storage](https://developer.mozilla.org/en-US/docs/Web/API/Storage) object such as `window.localStorage` used to persist entries.
+ * @private
+ */
+function Cache(options) {
+  options = options || {};
+  this.size = options.size || 100;
+  this.ttl = options.ttl || 3600000;
+  this.storage = options.storage || null;
+  this._entries = {};
+  this._keys = this._readStorage('index') || [];
+}
+
+Cache.prototype = {
+  /**
+   * Get a cached value
+   * @param {String} key
+   * @returns {*} the cached value, or `undefined` if it is missing or expired
+   */
+  get: function (key) {
+    var entry = this._entries[key] || this._readStorage(key);
+    if (!entry) return undefined;
+
+    if (entry.expires < Date.now()) {
+      this.remove(key);
+      return undefined;
+    }
+
+    this._entries[key] = entry;
+    this._touch(key);
+    return entry.value;
+  },
+
+  /**
+   * Store a value, evicting the least recently used entries over the size limit
+   * @param {String} key
+   * @param {*} value
+   */
+  set: function (key, value) {
+    var entry = {
+      value: value,
+      expires: Date.now() + this.ttl
+    };
+    this._entries[key] = entry;
+    this._writeStorage(key, entry);
+    this._touch(key);
+
+    while (this._keys.length > this.size) {
+      this.remove(this._keys[0]);
+    }
+  },
+
+  /**
+   * Remove a value
+   * @param {String} key
+   */
+  remove: function (key) {
+    delete this._entries[key];
+    this._removeStorage(key);
+    var index = this._keys.indexOf(key);
+    if (index !== -1) {
+      this._keys.splice(index, 1);
+      this._writeIndex();
+    }
+  },
+
+  /**
+   * Remove every value
+   */
+  clear: function () {
+    this._keys.slice().forEach(this.remove, this);
+  },
+
+  _touch: function (key) {
+    var index = this._keys.indexOf(key);
+    if (index !== -1) this._keys.splice(index, 1);
+    this._keys.push(key);
+    this._writeIndex();
+  },
+
+  // the order of the keys is written once the current task is over, rather than on every read
+  _writeIndex: function () {
+    if (!this.storage || this._indexTimeout) return;
+    this._indexTimeout = setTimeout(function () {
+      this._indexTimeout = null;
+      this._writeStorage('index', this._keys);
+    }.bind(this), 0);
+  },
+
+  // storage may be full, disabled or hold garbage: the cache then simply works in memory
+  _readStorage: function (key) {
+    if (!this.storage) return null;
+    try {
+      return JSON.parse(this.storage.getItem(STORAGE_PREFIX + key));
+    } catch (e) {
+      return null;
+    }
+  },
+
+  _writeStorage: function (key, value) {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch (e) {
+      // ignore
+    }
+  },
+
+  _removeStorage: function (key) {
+    if (!this.storage) return;
+    try {
+      this.storage.removeItem(STORAGE_PREFIX + key);
+    } catch (e) {
+      // ignore
+    }
+  }
+};
+
+/**
+ * Build the cache described by the `cache` option of the geocoder
+ * @param {Boolean|Object} option `false` to disable caching, `true` for the defaults,
+ * options for the built-in cache, or a custom store with `get` and `set` methods
+ * @returns {Object|null} the cache, or `null` if caching is disabled
+ * @private
+ */
+function createCache(option) {
+  if (!option) return null;
+  if (typeof option.get === 'function' && typeof option.set === 'function') return option;
+  return new Cache(option === true ? {} : option);
+}
+
+module.exports = {
+  Cache: Cache,
+  createCache: createCache
+};
@@ -0,0 +1,544 @@
+'use strict';
+
+var extend = require('xtend');
+
+var EventEmitter = require('events').EventEmitter;
+
+var nanoid = require('nanoid');
+
+var goongDirections = require('@goongmaps/goong-sdk/services/directions');
+
+var GoongGeocoder = require('./index');
+
+var GeocoderError = require('./errors');
+
+var utils = require('./utils');
+
+var localization = require('./localization');
+
+var transport = require('./transport');
+
+/**
+ * The geocoder of an input of the directions: it selects the places picked in its dropdown without flying
+ * the map to them, as the map fits the whole route instead
+ * @private
+ */
+function PointGeocoder(options) {
+  GoongGeocoder.call(this, extend(options, { flyTo: false }));
+}
+
+PointGeocoder.prototype = Object.create(GoongGeocoder.prototype);
+PointGeocoder.prototype.constructor = PointGeocoder;
+
+PointGeocoder.prototype._onChange = function () {
+  var selected = this._typeahead.selected;
+  this._updateGeolocateButton();
+
+  if (selected && JSON.stringify(selected) !== this.lastSelected) {
+    return this._select(selected);
+  }
+};
+
+/**
+ * A directions control: an origin and a destination input, each with its own autocomplete,
+ * optionally separated by intermediate stops. Once both ends are selected, the route between
+ * them is requested from the [Goong Directions API](https://docs.goong.io/rest/guide#direction)
+ * and drawn on the map.
+ *
+ * Available as `GoongGeocoder.Directions`.
+ *
+ * @class GoongDirections
+ * @param {Object} options
+ * @param {String} options.accessToken Required.
+ * @param {String} [options.origin=https://rsapi.goong.io] Use to set a custom API origin.
+ * @param {Object} [options.client] An API client, as in [GoongGeocoder](#goonggeocoder).
+ * @param {Function} [options.transport] A fetch-like function to send requests with, as in [GoongGeocoder](#goonggeocoder).
+ * @param {Object} [options.interceptors] `request` and `response` interceptors, as in [GoongGeocoder](#goonggeocoder).
+ * @param {Object} [options.goongjs] A [goongjs](https://docs.goong.io/javascript) instance, used to put a marker on each selected place.
+ * @param {Object} [options.geocoder] Options of the [GoongGeocoder](#goonggeocoder) of each input, e.g. `{ limit: 5 }`.
+ * @param {String} [options.language] The language of the text of the control and of the inputs, as in [GoongGeocoder](#goonggeocoder).
+ * @param {Object} [options.messages] Texts of the control by language, as in [GoongGeocoder](#goonggeocoder). The keys specific to directions are
+ * `originPlaceholder`, `destinationPlaceholder`, `stopPlaceholder`, `swap`, `addStop`, `removeStop` and `noRoute`.
+ * @param {String} [options.originPlaceholder=Choose a starting point] Placeholder of the origin input, overriding `options.messages`.
+ * @param {String} [options.destinationPlaceholder=Choose a destination] Placeholder of the destination input, overriding `options.messages`.
+ * @param {String} [options.stopPlaceholder=Add a stop] Placeholder of the inputs of intermediate stops, overriding `options.messages`.
+ * @param {Boolean} [options.stops=false] If `true`, an "Add stop" button lets the user insert intermediate stops.
+ * @param {Number} [options.maxStops=3] Maximum number of intermediate stops.
+ * @param {String} [options.vehicle=car] One of `car`, `bike` or `taxi`.
+ * @param {String} [options.type=fastest] One of `fastest` or `shortest`.
+ * @param {Boolean} [options.alternatives=false] Whether to request alternative routes. Only the first route is drawn.
+ * @param {String} [options.routeColor=#469af7] The color of the route line.
+ * @param {Boolean|Object} [options.fitBounds=true] If `true`, the map fits the route once it is drawn. An object is used as the options of `Map#fitBounds`.
+ * @example
+ * var directions = new GoongGeocoder.Directions({ accessToken: goongjs.accessToken, goongjs: goongjs });
+ * map.addControl(directions);
+ * directions.on('route', function (e) {
+ *   console.log(e.distance, e.duration);
+ * });
+ * @return {GoongDirections} `this`
+ */
+function GoongDirections(options) {
+  this._eventEmitter = new EventEmitter();
+  this.options = extend({}, this.options, options);
+  this._points = [];
+  this._routeId = 'goong-geocoder-route-' + nanoid(6);
+  this._swap = this._swap.bind(this);
+  this._addStop = this._addStop.bind(this);
+}
+
+GoongDirections.prototype = {
+  options: {
+    origin: 'https://rsapi.goong.io',
+    geocoder: {},
+    stops: false,
+    maxStops: 3,
+    vehicle: 'car',
+    type: 'fastest',
+    alternatives: false,
+    routeColor: '#469af7',
+    fitBounds: true
+  },
+
+  /**
+   * Add the control to a `goongjs.Map`, or append it to an element, or to an HTML element given by an `id` or `class` reference.
+   * @param {String|goongjs.Map|Node} container
+   * @returns {GoongDirections} this
+   */
+  addTo: function (container) {
+    if (container._controlContainer) {
+      container.addControl(this);
+      return this;
+    }
+    var parent = typeof container === 'string' ? document.querySelectorAll(container) : [container];
+    if (parent.length !== 1 || !parent[0] || typeof parent[0].appendChild !== 'function') {
+      throw new Error("Error: addTo Container must be a goong-js map or a reference to a single html element");
+    }
+    parent[0].appendChild(this.onAdd());
+    return this;
+  },
+
+  onAdd: function (map) {
+    if (map && typeof map != 'string') {
+      this._map = map;
+    }
+    this.directionsService = transport.createService(goongDirections, transport.createClient(this.options));
+
+    var el = this.container = document.createElement('div');
+    el.className = 'mapboxgl-ctrl mapboxgl-ctrl-geocoder--directions';
+
+    this._pointsEl = document.createElement('div');
+    this._pointsEl.className = 'mapboxgl-ctrl-geocoder--directions-points';
+    el.appendChild(this._pointsEl);
+
+    this._swapEl = document.createElement('button');
+    this._swapEl.type = 'button';
+    this._swapEl.className = 'mapboxgl-ctrl-geocoder--button mapboxgl-ctrl-geocoder--directions-swap';
+    this._swapEl.textContent = '⇅';
+    this._swapEl.addEventListener('click', this._swap);
+    el.appendChild(this._swapEl);
+
+    this._addPoint(0, 'originPlaceholder');
+    this._addPoint(1, 'destinationPlaceholder');
+
+    if (this.options.stops) {
+      this._addStopEl = document.createElement('button');
+      this._addStopEl.type = 'button';
+      this._addStopEl.className = 'mapboxgl-ctrl-geocoder--button mapboxgl-ctrl-geocoder--directions-add';
+      this._addStopEl.addEventListener('click', this._addStop);
+      el.appendChild(this._addStopEl);
+    }
+
+    this._updateTexts();
+    return el;
+  },
+
+  /**
+   * Get the texts of the control in its language
+   * @returns {Object} the messages
+   * @private
+   */
+  _getMessages: function () {
+    return localization.getMessages(this.options.language || localization.detectLanguage(), this.options.messages);
+  },
+
+  /**
+   * Write the texts of the control in its language
+   * @private
+   */
+  _updateTexts: function () {
+    var messages = this._getMessages();
+    this._swapEl.setAttribute('aria-label', messages.swap);
+    this._swapEl.setAttribute('title', messages.swap);
+    if (this._addStopEl) this._addStopEl.textContent = messages.addStop;
+    this._points.forEach(function (point) {
+      point.geocoder.setPlaceholder(this.options[point.placeholder] || messages[point.placeholder]);
+      if (point.removeEl) point.removeEl.setAttribute('aria-label', messages.removeStop);
+    }, this);
+  },
+
+  /**
+   * Set the language of the text of the control and of its inputs
+   * @param {String} language a language code, `vi` or `en` out of the box
+   * @returns {GoongDirections} this
+   */
+  setLanguage: function (language) {
+    this.options.language = language;
+    this._points.forEach(function (point) {
+      point.geocoder.setLanguage(language);
+    });
+    if (this.container) this._updateTexts();
+    return this;
+  },
+
+  onRemove: function () {
+    this._abortRequest();
+    this._removeRoute();
+    this._points.forEach(function (point) {
+      point.geocoder.onRemove();
+    });
+    this._points = [];
+    this._swapEl.removeEventListener('click', this._swap);
+    if (this._addStopEl) this._addStopEl.removeEventListener('click', this._addStop);
+    if (this.container.parentNode) this.container.parentNode.removeChild(this.container);
+    this.directionsService = null;
+    this._map = null;
+    return this;
+  },
+
+  /**
+   * Create the input of an origin, destination or stop and insert it in the list of points
+   * @param {Number} index position of the point, from the origin
+   * @param {String} placeholder the key of the placeholder in the options and the messages
+   * @returns {Object} the point
+   * @private
+   */
+  _addPoint: function (index, placeholder) {
+    var point = {
+      place: null,
+      placeholder: placeholder,
+      geocoder: new PointGeocoder(extend({ marker: !!this.options.goongjs }, this.options.geocoder, {
+        accessToken: this.options.accessToken,
+        origin: this.options.origin,
+        client: this.options.client,
+        transport: this.options.transport,
+        interceptors: this.options.interceptors,
+        goongjs: this.options.goongjs,
+        language: this.options.language,
+        messages: this.options.messages,
+        placeholder: this.options[placeholder] || this._getMessages()[placeholder]
+      }))
+    };
+    point.row = document.createElement('div');
+    point.row.className = 'mapboxgl-ctrl-geocoder--directions-point';
+    point.row.appendChild(point.geocoder.onAdd(this._map));
+
+    point.geocoder.on('result', function (e) {
+      point.place = e.result.result;
+      if (!this._swapping) this._route();
+    }.bind(this));
+    point.geocoder.on('clear', function () {
+      point.place = null;
+      this._abortRequest();
+      this._removeRoute();
+    }.bind(this));
+    point.geocoder.on('error', function (e) {
+      this._eventEmitter.emit('error', e);
+    }.bind(this));
+
+    this._pointsEl.insertBefore(point.row, this._pointsEl.children[index] || null);
+    this._points.splice(index, 0, point);
+    return point;
+  },
+
+  _addStop: function () {
+    this.addStop();
+  },
+
+  /**
+   * Insert an intermediate stop before the destination
+   * @returns {GoongDirections} this
+   */
+  addStop: function () {
+    if (!this.container || this._points.length - 2 >= this.options.maxStops) return this;
+
+    var point = this._addPoint(this._points.length - 1, 'stopPlaceholder');
+    var removeEl = point.removeEl = document.createElement('button');
+    removeEl.type = 'button';
+    removeEl.className = 'mapboxgl-ctrl-geocoder--button mapboxgl-ctrl-geocoder--directions-remove';
+    removeEl.setAttribute('aria-label', this._getMessages().removeStop);
+    removeEl.textContent = '×';
+    removeEl.addEventListener('click', function () {
+      this.removeStop(this._points.indexOf(point) - 1);
+    }.bind(this));
+    point.row.appendChild(removeEl);
+
+    if (this._addStopEl) this._addStopEl.disabled = this._points.length - 2 >= this.options.maxStops;
+    return this;
+  },
+
+  /**
+   * Remove an intermediate stop
+   * @param {Number} index the index of the stop, `0` being the first stop after the origin
+   * @returns {GoongDirections} this
+   */
+  removeStop: function (index) {
+    var point = this._points[index + 1];
+    if (!point || index + 1 >= this._points.length - 1) return this;
+
+    point.geocoder.onRemove();
+    if (point.row.parentNode) point.row.parentNode.removeChild(point.row);
+    this._points.splice(index + 1, 1);
+    if (this._addStopEl) this._addStopEl.disabled = false;
+    this._route();
+    return this;
+  },
+
+  _swap: function () {
+    this.swap();
+  },
+
+  /**
+   * Reverse the order of the points: the origin becomes the destination and the stops are visited backwards
+   * @returns {Promise} resolved once the route between the swapped points is requested
+   */
+  swap: function () {
+    var places = this._points.map(function (point) {
+      return point.place;
+    }).reverse();
+
+    this._swapping = true;
+    return Promise.all(this._points.map(function (point, i) {
+      var place = places[i];
+      if (!place) {
+        point.geocoder.clearPlace();
+        return null;
+      }
+      return point.geocoder.setPlace(place);
+    })).then(function () {
+      this._swapping = false;
+      return this._route();
+    }.bind(this), function (error) {
+      this._swapping = false;
+      throw error;
+    }.bind(this));
+  },
+
+  /**
+   * Request the route between the selected points and draw it
+   * @returns {Promise} resolved once the route is drawn, with the data of the `route` event. Its failures are reported by the `error` event.
+   * @private
+   */
+  _route: function () {
+    this._abortRequest();
+    var places = this._points.map(function (point) {
+      return point.place;
+    });
+    var origin = places[0];
+    var destination = places[places.length - 1];
+    if (!origin || !destination) {
+      this._removeRoute();
+      return Promise.resolve();
+    }
+
+    var request;
+    return Promise.resolve().then(function () {
+      if (!this.directionsService) throw new GeocoderError(GeocoderError.TYPES.ABORTED, 'Request aborted');
+      // a route requested in the same tick is replaced by this one
+      this._abortRequest();
+      // the Directions API visits the stops in the order of `destination`, separated with `;`
+      var destinations = places.slice(1).filter(Boolean).map(toLatLng);
+      // throws on invalid parameters, such as an unknown vehicle
+      request = this.request = this.directionsService.getDirections({
+        origin: toLatLng(origin),
+        destination: destinations.join(';'),
+        vehicle: this.options.vehicle,
+        type: this.options.type,
+        alternatives: this.options.alternatives
+      });
+      this._eventEmitter.emit('loading', {
+        origin: origin,
+        destination: destination
+      });
+      return this._send(request);
+    }.bind(this)).then(
+      function (response) {
+        if (request !== this.request) return;
+        this.request = null;
+        var routes = (response.body.routes || []).filter(function (route) {
+          return route.overview_polyline && route.overview_polyline.points;
+        });
+        if (!routes.length) {
+          this._removeRoute();
+          this._eventEmitter.emit('error', { error: new GeocoderError(GeocoderError.TYPES.REQUEST, this._getMessages().noRoute, response) });
+          return;
+        }
+
+        var route = routes[0];
+        var legs = route.legs || [];
+        var event = {
+          route: route,
+          routes: routes,
+          distance: sum(legs, 'distance'),
+          duration: sum(legs, 'duration')
+        };
+        this._drawRoute(utils.decodePolyline(route.overview_polyline.points));
+        this._eventEmitter.emit('route', event);
+        return event;
+      }.bind(this)).catch(
+      function (error) {
+        error = GeocoderError.from(error);
+        // a newer route is under way
+        if (error.type === GeocoderError.TYPES.ABORTED || (this.request && request !== this.request)) return;
+        this.request = null;
+        this._eventEmitter.emit('error', { error: error });
+      }.bind(this)
+    );
+  },
+
+  /**
+   * Send an API request
+   * @param {GAPIRequest} request the request to send
+   * @returns {Promise} the response. Rejects with a `GeocoderError`.
+   * @private
+   */
+  _send: function (request) {
+    return request.send().catch(function (error) {
+      throw GeocoderError.from(error);
+    });
+  },
+
+  _abortRequest: function () {
+    if (this.request) {
+      this.request.abort();
+      this.request = null;
+    }
+  },
+
+  /**
+   * Draw the route line, replacing the previous one, and fit the map to it
+   * @param {Array<Array<Number>>} coordinates
+   * @private
+   */
+  _drawRoute: function (coordinates) {
+    if (!this._map) return;
+
+    var data = {
+      type: 'Feature',
+      properties: {},
+      geometry: {
+        type: 'LineString',
+        coordinates: coordinates
+      }
+    };
+    var source = this._map.getSource(this._routeId);
+    if (source) {
+      source.setData(data);
+    } else {
+      this._map.addSource(this._routeId, {
+        type: 'geojson',
+        data: data
+      });
+      this._map.addLayer({
+        id: this._routeId,
+        type: 'line',
+        source: this._routeId,
+        layout: {
+          'line-join': 'round',
+          'line-cap': 'round'
+        },
+        paint: {
+          'line-color': this.options.routeColor,
+          'line-width': 5
+        }
+      });
+    }
+
+    if (this.options.fitBounds && coordinates.length) {
+      var bounds = coordinates.reduce(function (box, position) {
+        return [
+          [Math.min(box[0][0], position[0]), Math.min(box[0][1], position[1])],
+          [Math.max(box[1][0], position[0]), Math.max(box[1][1], position[1])]
+        ];
+      }, [coordinates[0], coordinates[0]]);
+      this._map.fitBounds(bounds, extend({ padding: 50 }, this.options.fitBounds));
+    }
+  },
+
+  _removeRoute: function () {
+    if (!this._map || !this._map.getSource(this._routeId)) return;
+    this._map.removeLayer(this._routeId);
+    this._map.removeSource(this._routeId);
+  },
+
+  /**
+   * Clear every input and the route
+   * @returns {GoongDirections} this
+   */
+  clear: function () {
+    this._abortRequest();
+    this._points.forEach(function (point) {
+      point.geocoder.clearPlace();
+    });
+    this._removeRoute();
+    return this;
+  },
+
+  /**
+   * Get the selected places
+   * @returns {Array<Object|null>} the [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result of the origin, of each stop and of the destination, `null` if not selected
+   */
+  getWaypoints: function () {
+    return this._points.map(function (point) {
+      return point.place;
+    });
+  },
+
+  /**
+   * Set the vehicle of the route, and request the route again
+   * @param {String} vehicle One of `car`, `bike` or `taxi`
+   * @returns {GoongDirections} this
+   */
+  setVehicle: function (vehicle) {
+    this.options.vehicle = vehicle;
+    if (this.directionsService) this._route();
+    return this;
+  },
+
+  /**
+   * Subscribe to events that happen within the control.
+   * @param {String} type name of event. Available events and the data passed into their respective event objects are:
+   *
+   * - __loading__ `{ origin, destination } Emitted when the route is requested`
+   * - __route__ `{ route, routes, distance, duration } Fired when the route is drawn, with its distance in meters and its duration in seconds`
+   * - __error__ `{ error } a [GeocoderError](#geocodererror)`
+   * @param {Function} fn function that's called when the event is emitted.
+   * @returns {GoongDirections} this
+   */
+  on: function (type, fn) {
+    this._eventEmitter.on(type, fn);
+    return this;
+  },
+
+  /**
+   * Remove an event
+   * @param {String} type Event name.
+   * @param {Function} fn Function that should unsubscribe to the event emitted.
+   * @returns {GoongDirections} this
+   */
+  off: function (type, fn) {
+    this._eventEmitter.removeListener(type, fn);
+    return this;
+  }
+};
+
+function toLatLng(place) {
+  return place.geometry.location.lat + ',' + place.geometry.location.lng;
+}
+
+function sum(legs, property) {
+  return legs.reduce(function (total, leg) {
+    return total + (leg[property] ? leg[property].value : 0);
+  }, 0);
+}
+
+module.exports = GoongDirections;
@@ -0,0 +1,223 @@
+'use strict';
+
+var extend = require('xtend');
+
+var GoongGeocoder = require('./index');
+
+var EVENTS = ['result', 'results', 'loading', 'clear', 'error'];
+
+// attribute name: [option name, type]
+var ATTRIBUTES = {
+  'access-token': ['accessToken', String],
+  'placeholder': ['placeholder', String],
+  'limit': ['limit', Number],
+  'radius': ['radius', Number],
+  'min-length': ['minLength', Number],
+  'collapsed': ['collapsed', Boolean],
+  'language': ['language', String]
+};
+
+// options applied to a live geocoder by a setter, the others rebuild it
+var SETTERS = {
+  placeholder: 'setPlaceholder',
+  limit: 'setLimit',
+  radius: 'setRadius',
+  minLength: 'setMinLength',
+  language: 'setLanguage'
+};
+
+/**
+ * The `<goong-geocoder>` custom element, rendering a [GoongGeocoder](#goonggeocoder) in its shadow root.
+ *
+ * The `access-token`, `placeholder`, `limit`, `radius`, `min-length`, `collapsed` and `language` attributes set the options of the same
+ * name in camel case. Other options can be given with the `options` property before the element is connected.
+ * The `result`, `results`, `loading`, `clear` and `error` events of the geocoder are dispatched by the element as `CustomEvent`s,
+ * with the event data as `detail`.
+ *
+ * The stylesheets of the document holding the geocoder styles are adopted by the shadow root, and so is a cross-origin
+ * `goong-geocoder.css`, whose rules cannot be read. A `stylesheet` attribute can give the URL of the stylesheet instead.
+ *
+ * Available as `GoongGeocoder.Element`, and defined by calling `GoongGeocoder.Element.define()`.
+ *
+ * @class GoongGeocoderElement
+ * @example
+ * <goong-geocoder access-token="YOUR_API_KEY" limit="5"></goong-geocoder>
+ * <script>
+ *   GoongGeocoder.Element.define();
+ *   document.querySelector('goong-geocoder').addEventListener('result', function (e) {
+ *     console.log(e.detail.result);
+ *   });
+ * </script>
+ */
+function GoongGeocoderElement() {
+  // custom elements must be constructed as classes, which ES5 functions can only do through Reflect
+  var element = Reflect.construct(HTMLElement, [], this.constructor);
+  element.options = {};
+  element.geocoder = null;
+  return element;
+}
+
+GoongGeocoderElement.observedAttributes = Object.keys(ATTRIBUTES).concat('stylesheet');
+
+GoongGeocoderElement.prototype = Object.create(typeof HTMLElement !== 'undefined' ? HTMLElement.prototype : Object.prototype, {
+  constructor: {
+    value: GoongGeocoderElement,
+    writable: true,
+    configurable: true
+  }
+});
+
+if (typeof HTMLElement !== 'undefined') Object.setPrototypeOf(GoongGeocoderElement, HTMLElement);
+
+GoongGeocoderElement.prototype.connectedCallback = function () {
+  if (!this.shadowRoot) {
+    this.attachShadow({ mode: 'open' });
+    this._adoptStyles();
+  }
+  if (!this.geocoder) this._createGeocoder();
+};
+
+GoongGeocoderElement.prototype.disconnectedCallback = function () {
+  this._removeGeocoder();
+};
+
+GoongGeocoderElement.prototype.attributeChangedCallback = function (name, oldValue, value) {
+  if (!this.geocoder || oldValue === value) return;
+
+  if (name === 'stylesheet') {
+    this._adoptStyles();
+    return;
+  }
+
+  var option = ATTRIBUTES[name][0];
+  var setter = SETTERS[option];
+  if (setter) {
+    this.geocoder[setter](this._readAttribute(name));
+  } else {
+    this._removeGeocoder();
+    this._createGeocoder();
+  }
+};
+
+/**
+ * Read the value of an attribute as its option
+ * @private
+ */
+GoongGeocoderElement.prototype._readAttribute = function (name) {
+  var type = ATTRIBUTES[name][1];
+  if (type === Boolean) return this.hasAttribute(name);
+  if (!this.hasAttribute(name)) return undefined;
+  return type(this.getAttribute(name));
+};
+
+/**
+ * @private
+ */
+GoongGeocoderElement.prototype._createGeocoder = function () {
+  var options = {};
+  Object.keys(ATTRIBUTES).forEach(function (name) {
+    var value = this._readAttribute(name);
+    if (value !== undefined) options[ATTRIBUTES[name][0]] = value;
+  }, this);
+
+  var geocoder = this.geocoder = new GoongGeocoder(extend(this.options, options));
+  this._listeners = EVENTS.map(function (type) {
+    var listener = function (data) {
+      this.dispatchEvent(new CustomEvent(type, {
+        detail: data,
+        bubbles: true,
+        composed: true
+      }));
+    }.bind(this);
+    geocoder.on(type, listener);
+    return [type, listener];
+  }, this);
+  geocoder.addTo(this.shadowRoot);
+};
+
+/**
+ * @private
+ */
+GoongGeocoderElement.prototype._removeGeocoder = function () {
+  if (!this.geocoder) return;
+  this._listeners.forEach(function (listener) {
+    this.geocoder.off(listener[0], listener[1]);
+  }, this);
+  this.geocoder.onRemove();
+  this.geocoder = null;
+};
+
+/**
+ * Style the shadow root with the `stylesheet` attribute, or else with the stylesheets of the document holding geocoder rules
+ * @private
+ */
+GoongGeocoderElement.prototype._adoptStyles = function () {
+  var root = this.shadowRoot;
+  var canAdopt = typeof CSSStyleSheet === 'function' && 'adoptedStyleSheets' in root;
+  var previous = root.querySelectorAll('[data-goong-geocoder]');
+  for (var i = 0; i < previous.length; i++) root.removeChild(previous[i]);
+  if (canAdopt) root.adoptedStyleSheets = [];
+
+  var href = this.getAttribute('stylesheet');
+  if (href) {
+    root.insertBefore(createLink(href), root.firstChild);
+    return;
+  }
+
+  var adopted = [];
+  Array.prototype.forEach.call(document.styleSheets, function (sheet) {
+    var rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (e) {
+      // the rules of cross-origin stylesheets cannot be read: link the geocoder one again in the shadow root
+      if (isGeocoderStylesheet(sheet.href)) root.insertBefore(createLink(sheet.href), root.firstChild);
+      return;
+    }
+    var cssText = Array.prototype.map.call(rules, function (rule) {
+      return rule.cssText;
+    }).join('\n');
+    if (cssText.indexOf('mapboxgl-ctrl-geocoder') === -1) return;
+
+    if (canAdopt) {
+      var adoptedSheet = new CSSStyleSheet();
+      adoptedSheet.replaceSync(cssText);
+      adopted.push(adoptedSheet);
+    } else {
+      var style = document.createElement('style');
+      style.setAttribute('data-goong-geocoder', '');
+      style.textContent = cssText;
+      root.insertBefore(style, root.firstChild);
+    }
+  });
+  if (canAdopt) root.adoptedStyleSheets = adopted;
+};
+
+/**
+ * Check whether a URL is that of the geocoder stylesheet, as published by the package
+ * @private
+ */
+function isGeocoderStylesheet(href) {
+  var path = String(href || '').split(/[?#]/)[0];
+  return path.slice(path.lastIndexOf('/') + 1) === 'goong-geocoder.css';
+}
+
+function createLink(href) {
+  var link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = href;
+  link.setAttribute('data-goong-geocoder', '');
+  return link;
+}
+
+/**
+ * Define the custom element, unless its tag name is already taken or the browser does not support custom elements
+ * @param {String} [name=goong-geocoder] the tag name
+ */
+GoongGeocoderElement.define = function (name) {
+  name = name || 'goong-geocoder';
+  if (typeof window === 'undefined' || !window.customElements || window.customElements.get(name)) return;
+  window.customElements.define(name, GoongGeocoderElement);
+};
+
+module.exports = GoongGeocoderElement;
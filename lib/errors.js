@@ -0,0 +1,115 @@
+'use strict';
+
+var ERROR_TYPES = {
+  ABORTED: 'aborted',
+  OFFLINE: 'offline',
+  NETWORK: 'network',
+  UNAUTHORIZED: 'unauthorized',
+  QUOTA_EXCEEDED: 'quota_exceeded',
+  SERVER: 'server',
+  REQUEST: 'request',
+  GEOLOCATION_DENIED: 'geolocation_denied',
+  GEOLOCATION_UNAVAILABLE: 'geolocation_unavailable',
+  GEOLOCATION_TIMEOUT: 'geolocation_timeout',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Default messages shown in the dropdown for each type of error
+ * @private
+ */
+var ERROR_MESSAGES = {
+  offline: 'You are offline. Searching will resume once you are back online',
+  network: 'There was an error reaching the server',
+  unauthorized: 'The API key is invalid or is not allowed to use this service',
+  quota_exceeded: 'Too many requests. Please try again later',
+  server: 'The server could not complete the search. Please try again later',
+  request: 'There was an error reaching the server',
+  geolocation_denied: 'Permission to use your location was denied',
+  geolocation_unavailable: 'Your location could not be found',
+  geolocation_timeout: 'Finding your location took too long. Please try again',
+  unknown: 'There was an error reaching the server'
+};
+
+/**
+ * An error of the geocoder, emitted by the `error` event.
+ *
+ * @class GeocoderError
+ * @param {String} type One of `aborted`, `offline`, `network`, `unauthorized` (HTTP 401 and 403), `quota_exceeded` (HTTP 429), `server` (HTTP 5xx), `request` (other HTTP errors),
+ * `geolocation_denied`, `geolocation_unavailable`, `geolocation_timeout` (failures of the "Use my location" button) or `unknown`.
+ * @param {String} message
+ * @param {*} [original] the underlying error
+ * @property {String} type the type of error
+ * @property {Number|null} statusCode the HTTP status code of the response, if any
+ * @property {Boolean} retryable whether sending the same request again may succeed
+ * @property {*} original the underlying error, such as the [GAPIError](https://github.com/goong-io/goong-sdk-js) of the API client
+ */
+function GeocoderError(type, message, original) {
+  this.name = 'GeocoderError';
+  this.type = type;
+  this.message = message;
+  this.original = original;
+  this.statusCode = (original && original.statusCode) || null;
+  this.retryable = [ERROR_TYPES.NETWORK, ERROR_TYPES.QUOTA_EXCEEDED, ERROR_TYPES.SERVER].indexOf(type) !== -1;
+  this.stack = new Error(message).stack;
+}
+
+GeocoderError.prototype = Object.create(Error.prototype);
+GeocoderError.prototype.constructor = GeocoderError;
+
+/**
+ * Classify any error thrown while searching
+ * @param {*} error a GAPIError, a network error event, or any other error
+ * @returns {GeocoderError} the typed error
+ * @private
+ */
+GeocoderError.from = function (error) {
+  if (error instanceof GeocoderError) return error;
+
+  var type;
+  var status = error && error.statusCode;
+  if (error && error.type === 'RequestAbortedError') {
+    type = ERROR_TYPES.ABORTED;
+  } else if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    type = ERROR_TYPES.OFFLINE;
+  } else if (status === 401 || status === 403) {
+    type = ERROR_TYPES.UNAUTHORIZED;
+  } else if (status === 429) {
+    type = ERROR_TYPES.QUOTA_EXCEEDED;
+  } else if (status >= 500) {
+    type = ERROR_TYPES.SERVER;
+  } else if (status >= 400) {
+    type = ERROR_TYPES.REQUEST;
+  } else if (error && (error.type === 'error' || error.type === 'timeout' || error.status === 0)) {
+    // XMLHttpRequest `error` and `timeout` events: the request did not get through
+    type = ERROR_TYPES.NETWORK;
+  } else {
+    type = ERROR_TYPES.UNKNOWN;
+  }
+
+  var message = (error && typeof error.message === 'string' && error.message) || ERROR_MESSAGES[type];
+  return new GeocoderError(type, message, error);
+};
+
+/**
+ * Read the delay requested by the `Retry-After` header of a failed response, when the error exposes its headers
+ * @param {GeocoderError} error
+ * @returns {Number|null} the delay in milliseconds
+ * @private
+ */
+GeocoderError.retryAfter = function (error) {
+  var headers = error.original && error.original.headers;
+  var value = headers && (headers['retry-after'] || headers['Retry-After']);
+  if (!value) return null;
+
+  var seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  var date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+GeocoderError.TYPES = ERROR_TYPES;
+GeocoderError.MESSAGES = ERROR_MESSAGES;
+
+module.exports = GeocoderError;
@@ -0,0 +1,147 @@
+'use strict';
+
+var STORAGE_PREFIX = 'goong-geocoder:';
+
+/**
+ * Recently selected and favorite places, persisted to a storage adapter.
+ *
+ * Entries are predictions carrying their place detail as `result`, so that picking
+ * one from the dropdown does not need any request. Recent entries are flagged with
+ * `history: true`, favorites with `favorite: true`.
+ *
+ * @class History
+ * @param {Object} [options]
+ * @param {Number} [options.limit=5] Maximum number of recent places to keep.
+ * @param {Storage} [options.storage=window.localStorage] An object with the `getItem`, `setItem` and `removeItem` methods of [Storage](https://developer.mozilla.org/en-US/docs/Web/API/Storage).
+ * Entries are kept in memory if no storage is available.
+ * @private
+ */
+function History(options) {
+  options = options || {};
+  this.limit = options.limit || 5;
+  this.storage = options.storage || defaultStorage();
+  this._memory = {};
+}
+
+History.prototype = {
+  /**
+   * @returns {Array<Object>} the recent places, most recent first
+   */
+  getRecent: function () {
+    return this._read('history');
+  },
+
+  /**
+   * @returns {Array<Object>} the favorite places, in the order they were added
+   */
+  getFavorites: function () {
+    return this._read('favorites');
+  },
+
+  /**
+   * Record a selected place as the most recent one
+   * @param {Object} prediction the selected prediction
+   * @param {Object} result its place detail result
+   */
+  add: function (prediction, result) {
+    var entry = createEntry(prediction, result, 'history');
+    var recent = this.getRecent().filter(function (item) {
+      return !isSamePlace(item, entry);
+    });
+    recent.unshift(entry);
+    this._write('history', recent.slice(0, this.limit));
+  },
+
+  /**
+   * Remove a place from the recent places
+   * @param {String} id the `place_id` or the description of the place
+   */
+  remove: function (id) {
+    this._write('history', this.getRecent().filter(function (item) {
+      return !matches(item, id);
+    }));
+  },
+
+  /**
+   * Remove every recent place
+   */
+  clear: function () {
+    this._write('history', []);
+  },
+
+  /**
+   * Pin a place as favorite
+   * @param {Object} prediction the prediction
+   * @param {Object} result its place detail result
+   */
+  addFavorite: function (prediction, result) {
+    var entry = createEntry(prediction, result, 'favorite');
+    var favorites = this.getFavorites().filter(function (item) {
+      return !isSamePlace(item, entry);
+    });
+    favorites.push(entry);
+    this._write('favorites', favorites);
+  },
+
+  /**
+   * Unpin a favorite place
+   * @param {String} id the `place_id` or the description of the place
+   */
+  removeFavorite: function (id) {
+    this._write('favorites', this.getFavorites().filter(function (item) {
+      return !matches(item, id);
+    }));
+  },
+
+  _read: function (name) {
+    var value;
+    try {
+      value = this.storage ? JSON.parse(this.storage.getItem(STORAGE_PREFIX + name)) : this._memory[name];
+    } catch (e) {
+      value = null;
+    }
+    return Array.isArray(value) ? value : [];
+  },
+
+  _write: function (name, list) {
+    this._memory[name] = list;
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_PREFIX + name, JSON.stringify(list));
+    } catch (e) {
+      // storage is full or disabled, keep the list in memory only
+      this.storage = null;
+    }
+  }
+};
+
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (e) {
+    // accessing localStorage throws when cookies are blocked
+    return null;
+  }
+}
+
+function createEntry(prediction, result, flag) {
+  var entry = {
+    description: prediction.description,
+    place_id: prediction.place_id,
+    structured_formatting: prediction.structured_formatting,
+    result: result
+  };
+  entry[flag] = true;
+  return entry;
+}
+
+function isSamePlace(a, b) {
+  if (a.place_id && b.place_id) return a.place_id === b.place_id;
+  return a.description === b.description;
+}
+
+function matches(item, id) {
+  return item.place_id === id || item.description === id;
+}
+
+module.exports = History;
@@ -1,6 +1,8 @@
 'use strict';
 
-var Typeahead = require('suggestions');
+// `suggestions` touches `window` as soon as it is loaded, which the headless
+// search API must not depend on outside of browsers
+var Typeahead = typeof window !== 'undefined' ? require('suggestions') : null;
 
 var debounce = require('lodash.debounce');
 
@@ -8,20 +10,49 @@ var extend = require('xtend');
 
 var EventEmitter = require('events').EventEmitter;
 
-var GoongClient = require('@goongmaps/goong-sdk');
+var nanoid = require('nanoid');
 
 var goongAutocomplete = require('@goongmaps/goong-sdk/services/autocomplete');
 
+var goongGeocoding = require('@goongmaps/goong-sdk/services/geocoding');
+
+var utils = require('./utils');
+
+var createCache = require('./cache').createCache;
+
+var History = require('./history');
+
+var UrlState = require('./url-state');
+
+var PredictionsLayer = require('./predictions-layer');
+
+var GeocoderError = require('./errors');
+
+var localization = require('./localization');
+
+var transport = require('./transport');
+
 /**
  * A geocoder component using the [Goong Places API](https://docs.goong.io/rest/place/)
  * @class GoongGeocoder
  * @param {Object} options
  * @param {String} options.accessToken Required. An API Key created at https://account.goong.io
+ * Can be omitted with `options.client`, or with `options.transport` or `options.interceptors` when a proxy adds the key.
+ * @param {Object} [options.client] An API client to send the requests with, such as one created with `GoongClient` of [goong-sdk](https://github.com/goong-io/goong-sdk-js) or a mock.
+ * It must implement the `createRequest`, `sendRequest` and `abortRequest` methods of its `GAPIClient`. Takes precedence over `options.accessToken`, `options.origin`, `options.transport` and `options.interceptors`.
+ * @param {Function} [options.transport] A function with the signature of [fetch](https://developer.mozilla.org/en-US/docs/Web/API/fetch), used to send the requests instead of `XMLHttpRequest`,
+ * e.g. to reach a mock server, or `GoongGeocoder.fixtureTransport(fixtures)` to answer them offline.
+ * @param {Object} [options.interceptors] Functions to change requests and responses, sent with `options.transport` or else `fetch`.
+ * `request` is called with the `url`, `method`, `headers` and `body` of a request and returns them, or a Promise of them, e.g. to sign it or to drop the API key in front of a proxy.
+ * `response` is called with the `statusCode`, `headers` and `body` (a string) of a response and returns them, or a Promise of them.
  * @param {String} [options.origin=https://rsapi.goong.io] Use to set a custom API origin.
  * @param {Object} [options.goongjs] A [goongjs](https://docs.goong.io/javascript) instance to use when creating [Markers](https://docs.goong.io/example/custom-marker-icons/). Required if `options.marker` is `true`.
  * @param {Number} [options.zoom=16] On geocoded result what zoom level should the map animate to.
- * @param {Boolean|Object} [options.flyTo=true] If `false`, animating the map to a selected result is disabled. If `true`, animating the map will use the default animation parameters.
+ * @param {Boolean|Object} [options.flyTo=true] If `false`, animating the map to a selected result is disabled, and so is the selection of the results picked in the dropdown: use `setPlace` to select a place without animating the map. If `true`, animating the map will use the default animation parameters.
  * @param {String} [options.placeholder=Search] Override the default placeholder attribute value.
+ * @param {String} [options.language] The language of the text of the control, `vi` or `en`, also sent to the API. Defaults to the language of the browser if supported, or else English, and is then not sent to the API.
+ * @param {Object} [options.messages] Texts of the control by language, overriding the shipped ones or adding a language, e.g. `{ vi: { noResults: 'Không có kết quả' } }`.
+ * Keys are `placeholder`, `clear`, `geolocate`, `loading`, `oneResult`, `results` (where `{count}` is the number of results), `noResults`, and `errors`, an object of messages by type of [GeocoderError](#geocodererror).
  * @param {Object} [options.proximity] a proximity argument: this is
  * a geographical point given as an object with `latitude` and `longitude`
  * properties. Search results closer to this point will be given
@@ -31,11 +62,70 @@ var goongAutocomplete = require('@goongmaps/goong-sdk/services/autocomplete');
  * @param {Boolean} [options.clearAndBlurOnEsc=false] If `true`, the geocoder control will clear it's contents and blur when user presses the escape key.
  * @param {Boolean} [options.clearOnBlur=false] If `true`, the geocoder control will clear its value when the input blurs.
  * @param {Number} [options.minLength=2] Minimum number of characters to enter before results are shown.
+ * @param {Number} [options.debounce=200] Time in milliseconds to wait after the user stops typing before searching.
+ * @param {Boolean|Function} [options.sessionToken=true] If `true`, the searches typed in the control and the place detail request of the selected prediction are sent with a common session token, so that they are billed as a single session. A new session starts after a selection, on clear, or after `options.sessionTimeout`.
+ * The place detail request closing a session is sent even if its response is cached.
+ * If a function, it is called without arguments to generate each session token. If `false`, no session token is sent.
+ * @param {Number} [options.retries=2] Number of times a request failing with a network error, HTTP 429 or HTTP 5xx is sent again before giving up.
+ * @param {Number} [options.retryDelay=500] Time in milliseconds before the first retry, doubled on each following one. A `Retry-After` response header takes precedence when the API client exposes it.
+ * @param {Object} [options.errorMessages] Messages shown in the dropdown for each type of [GeocoderError](#geocodererror), overriding those of `options.messages` in any language, e.g. `{ offline: 'No connection' }`. Types are `offline`, `network`, `unauthorized`, `quota_exceeded`, `server`, `request`, `geolocation_denied`, `geolocation_unavailable`, `geolocation_timeout` and `unknown`.
+ * @param {Number} [options.sessionTimeout=180000] Time in milliseconds after which a session that has not ended with a selection is replaced by a new one.
  * @param {Number} [options.limit=5] Maximum number of results to show.
  * @param {Number} [options.radius=3000] Distance by kilometers around search location
+ * @param {Array<Number>} [options.bbox] A bounding box given as `[minLongitude, minLatitude, maxLongitude, maxLatitude]` to restrict results to.
+ * @param {Boolean} [options.restrictToViewport=false] If `true`, results are restricted to the visible bounds of the map at the time of the search, taking precedence over `options.bbox`.
+ * @param {Object} [options.adminArea] An administrative area to restrict results to, given as an object with any of the `province`, `district` and `commune` (ward) names, e.g. `{ province: 'Hà Nội' }`.
+ * Names are compared without case and diacritics against the compound address of each result.
+ * @param {String} [options.restrictMode=hide] How to treat the results outside of `options.bbox`, the map viewport or `options.adminArea`: `hide` them, or `demote` them below the results inside.
+ * Searches are biased towards the bounding box, but Goong predictions carry no coordinates: with a bounding box, the first `options.limit` predictions are located with a place detail request each, unless already known, and checked against it. The others are kept.
  * @param {Boolean|Object} [options.marker=true]  If `true`, a [Marker](https://docs.goong.io/example/custom-marker-icons/) will be added to the map at the location of the user-selected result using a default set of Marker options.  If the value is an object, the marker will be constructed using these options. If `false`, no marker will be added to the map. Requires that `options.goongjs` also be set.
- * @param {Function} [options.render] A function that specifies how the results should be rendered in the dropdown menu. This function should accepts a single [Predictions](https://docs.goong.io/rest/place/#places-search-by-keyword-with-autocomplete) object as input and return a string. Any HTML in the returned string will be rendered.
+ * @param {Boolean} [options.draggableMarker=false] If `true`, the result marker can be dragged to refine the position. Dropping it reverse geocodes the new position into the input and emits a `result` event with the adjusted coordinates.
+ * @param {Boolean|Function} [options.popup=false] If `true`, a Popup showing the name and the formatted address of the place is bound to the result marker. A function can be given instead to render the Popup content: it accepts a [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result and returns an HTML string.
+ * @param {Function} [options.render] A function that specifies how the results should be rendered in the dropdown menu. This function should accepts a single [Predictions](https://docs.goong.io/rest/place/#places-search-by-keyword-with-autocomplete) object as input, and the query as second argument, and return a string. Any HTML in the returned string will be rendered, so the text of the prediction must be escaped.
+ * The third argument is the distance of the place from the proximity point, if known: an object with the `distance` in kilometers, the `bearing` in degrees clockwise from north, or `null`, and their `text` in the language of the control, e.g. `1.2 km NE`. It is `null` otherwise.
+ * The default one escapes it, highlights the parts matching the query regardless of diacritics, and shows the distance.
  * @param {Function} [options.getItemValue] A function that specifies how the selected result should be rendered in the search bar. This function should accept a single [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) object as input and return a string. HTML tags in the output string will not be rendered. Defaults to `(item) => item.formatted_address`.
+ * @param {Boolean} [options.reverseGeocode=false] If `true`, a query that looks like a pair of coordinates (`latitude,longitude` or `longitude,latitude`) is reverse geocoded with the [Goong Geocode API](https://docs.goong.io/rest/geocode/) instead of being autocompleted.
+ * @param {Boolean} [options.reverseOnClick=false] If `true`, clicking the map reverse geocodes the clicked point and selects the nearest address, emitting the `results` and `result` events.
+ * @param {Boolean} [options.geolocate=false] If `true`, and the browser supports geolocation, a "Use my location" button is shown while the input is empty. It sets the proximity to the user's position, then selects the nearest address.
+ * @param {Number} [options.geolocateTimeout=10000] Time in milliseconds to wait for the user's position.
+ * @param {Boolean|Object} [options.cache=true] Cache autocomplete, geocode and place detail responses whose `status` is `OK`. If `true`, responses are kept in memory with the default settings. If `false`, caching is disabled.
+ * Pass `{ size, ttl, storage }` to configure the built-in cache: `size` (default `100`) is the maximum number of responses kept, least recently used first out; `ttl` (default `3600000`) the time in milliseconds a response stays valid; `storage` a [Storage](https://developer.mozilla.org/en-US/docs/Web/API/Storage) such as `window.localStorage` to persist responses across page loads.
+ * Any other object with `get(key)` and `set(key, value)` methods is used as the cache store.
+ * @param {Function} [options.localGeocoder] A function accepting the query string and returning an array of places to list along with the Goong predictions. It runs synchronously on every search.
+ * Each place needs a `description` and a `geometry.location` with `lat` and `lng`, like a [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result; `name`, `place_id` and `structured_formatting` are used when present.
+ * Selecting one of these places does not send a place detail request.
+ * @param {Function} [options.externalGeocoder] A function accepting the query string and returning a Promise which resolves to an array of places, in the same format as `options.localGeocoder`.
+ * @param {Boolean} [options.localGeocoderOnly=false] If `true`, only `options.localGeocoder` and `options.externalGeocoder` are searched and the Goong API is not queried.
+ * @param {Boolean} [options.localResultsFirst=true] If `true`, places from `options.localGeocoder` and `options.externalGeocoder` are listed before the Goong predictions, otherwise after them.
+ * @param {Boolean} [options.dedupeResults=true] If `true`, a prediction is dropped when an earlier one has the same `place_id` or description.
+ * @param {Boolean|Object} [options.history=false] If `true`, selected places are recorded and, along with favorite places, listed when the input is focused and empty. Picking one of them does not send any request.
+ * Pass `{ limit, storage }` to configure it: `limit` (default `5`) is the number of recent places kept; `storage` (default `window.localStorage`) any object with the `getItem`, `setItem` and `removeItem` methods of [Storage](https://developer.mozilla.org/en-US/docs/Web/API/Storage).
+ * Recent places are passed to the render function with `history: true`, favorites with `favorite: true`.
+ * @param {Boolean|Object} [options.urlState=false] If `true`, the query and the `place_id` of the selected place are kept in the URL of the page, and restored when the geocoder is added:
+ * the detail of the place is fetched, the map flies to it and the marker is placed, without opening the dropdown. A query without a place is searched again.
+ * The query is written as it is typed, once `options.debounce` has passed, and clearing the input removes them.
+ * Pass `{ mode, queryParam, placeParam }` to configure it: `mode` (default `'hash'`) is `'hash'` or `'search'`, to use the fragment or the query string of the URL;
+ * `queryParam` (default `'q'`) and `placeParam` (default `'place'`) are the names of the parameters.
+ * @param {Boolean} [options.showPredictionsOnMap=false] If `true`, the places of the predictions listed in the dropdown are also drawn on the map, highlighted along with the active item of the list. Clicking one of them selects it.
+ * The places not located yet are, once the query is settled, with a place detail request each for the first `options.limit` of them, answered by `options.cache` when it can.
+ * @param {Array<String|Object>} [options.categories] Categories listed as buttons under the input, each searching the places of its category around the map with `nearby`.
+ * Give a category as a string, or as an object with the `label` of its button and the `query` to search, e.g. `['Cafe', { label: 'ATM', query: 'atm' }]`.
+ * @param {String} [options.nearbyPrefix] A keyword turning the query typed after it into a nearby search, e.g. with `'near:'`, typing `near: cafe` searches cafes around the map.
+ * Nearby searches list the first `options.limit` places, once settled, located with a place detail request each, answered by `options.cache` when it can.
+ * @param {Number} [options.nearbyRadius=2] Distance by kilometers around the map searched by nearby searches.
+ * @param {Boolean} [options.sortByDistance=false] If `true`, predictions are listed nearest first from the proximity point.
+ * @param {Number} [options.maxDistance] Distance by kilometers from the proximity point beyond which predictions are dropped.
+ * Distances are those given by the API as `distance_meters` when it does, or else measured to the location of the places. With `sortByDistance` or `maxDistance`,
+ * the first `options.limit` places of a settled query are located with a place detail request each, unless already known, answered by `options.cache` when it can.
+ * Predictions whose distance is unknown are kept, and listed last.
+ * Predictions carry their `distance` in kilometers and their `bearing` in degrees whenever they are known, with or without these options.
+ * @param {Array<Object>} [options.middleware] Hooks run around each search and selection, in order. Each middleware is an object with any of the following functions, which may return a Promise:
+ * `beforeSearch(config)` returns the parameters of an autocomplete request (`input`, `location` and `radius`), e.g. to rewrite the query;
+ * `filterPrediction(prediction)` returns `false` to drop a prediction;
+ * `sortPredictions(predictions)` returns the predictions in a new order;
+ * `transformResult(detail)` returns the place detail response of the selected prediction, whose `result` is emitted with the `result` event, e.g. to enrich it.
+ * Returning `undefined` keeps the value unchanged. Middleware can also be added with `use`.
 
  * @example
  * var geocoder = new GoongGeocoder({ accessToken: 'YOUR_API_KEY' });
@@ -51,6 +141,38 @@ function GoongGeocoder(options) {
   this.inputString = '';
   this.fresh = true;
   this.lastSelected = null;
+  this._cache = createCache(this.options.cache);
+  this._history = this.options.history ? new History(this.options.history === true ? {} : this.options.history) : null;
+  this._middleware = (this.options.middleware || []).slice();
+  this._urlState = this.options.urlState ? new UrlState(this.options.urlState === true ? {} : this.options.urlState) : null;
+  // counts the removals of the control, so that the callbacks of a previous mount do nothing
+  this._removals = 0;
+
+  // bound once, so that the same handlers are removed by `onRemove` across mounts
+  this._onChange = this._onChange.bind(this);
+  this._onKeyDown = this._onKeyDown.bind(this);
+  this._onInputEvent = this._onInputEvent.bind(this);
+  this._onInput = this._onInput.bind(this);
+  this._onCompositionStart = this._onCompositionStart.bind(this);
+  this._onCompositionEnd = this._onCompositionEnd.bind(this);
+  this._onBlur = this._onBlur.bind(this);
+  this._onFocus = this._onFocus.bind(this);
+  this._showButton = this._showButton.bind(this);
+  this._hideButton = this._hideButton.bind(this);
+  this._onQueryResult = this._onQueryResult.bind(this);
+  this.clear = this.clear.bind(this);
+  this._updateProximity = this._updateProximity.bind(this);
+  this._collapse = this._collapse.bind(this);
+  this._unCollapse = this._unCollapse.bind(this);
+  this._clear = this._clear.bind(this);
+  this._clearOnBlur = this._clearOnBlur.bind(this);
+  this._onMapClick = this._onMapClick.bind(this);
+  this._selectPrediction = this._selectPrediction.bind(this);
+  this._hoverPrediction = this._hoverPrediction.bind(this);
+  this._onOnline = this._onOnline.bind(this);
+  this._geolocate = this._geolocate.bind(this);
+  this._handleMarker = this._handleMarker.bind(this);
+  this._onMarkerDragEnd = this._onMarkerDragEnd.bind(this);
 }
 
 GoongGeocoder.prototype = {
@@ -59,30 +181,61 @@ GoongGeocoder.prototype = {
     flyTo: true,
     trackProximity: true,
     minLength: 2,
+    debounce: 200,
+    sessionToken: true,
+    sessionTimeout: 180000,
+    retries: 2,
+    retryDelay: 500,
     limit: 5,
     radius: 3000,
+    restrictToViewport: false,
+    restrictMode: 'hide',
     origin: 'https://rsapi.goong.io',
     marker: true,
+    draggableMarker: false,
+    popup: false,
     goongjs: null,
     collapsed: false,
     clearAndBlurOnEsc: false,
     clearOnBlur: false,
+    reverseGeocode: false,
+    reverseOnClick: false,
+    geolocate: false,
+    geolocateTimeout: 10000,
+    cache: true,
+    localGeocoderOnly: false,
+    localResultsFirst: true,
+    dedupeResults: true,
+    history: false,
+    urlState: false,
+    showPredictionsOnMap: false,
+    nearbyRadius: 2,
+    sortByDistance: false,
+    maxDistance: null,
     getItemValue: function getItemValue(item) {
       return item.description;
     },
-    render: function render(item) {
+    render: function render(item, query, distance) {
       var placeName = item.structured_formatting;
-      return '<div class="mapboxgl-ctrl-geocoder--suggestion"><div class="mapboxgl-ctrl-geocoder--suggestion-title">' + placeName.main_text + '</div><div class="mapboxgl-ctrl-geocoder--suggestion-address">' + placeName.secondary_text + '</div></div>';
+      var className = 'mapboxgl-ctrl-geocoder--suggestion';
+      if (item.favorite) className += ' mapboxgl-ctrl-geocoder--suggestion-favorite';
+      else if (item.history) className += ' mapboxgl-ctrl-geocoder--suggestion-history';
+      // matched offsets of the API when given, else the words of the query found regardless of diacritics
+      var title = utils.highlight(placeName.main_text, query, placeName.main_text_matched_substrings);
+      var address = utils.highlight(placeName.secondary_text, query, placeName.secondary_text_matched_substrings);
+      if (distance) title = '<span class="mapboxgl-ctrl-geocoder--suggestion-distance">' + utils.escapeHtml(distance.text) + '</span>' + title;
+      return '<div class="' + className + '"><div class="mapboxgl-ctrl-geocoder--suggestion-title">' + title + '</div><div class="mapboxgl-ctrl-geocoder--suggestion-address">' + address + '</div></div>';
     }
   },
   request: null,
   /**
-   * Add the geocoder to a container. The container can be either a `goongjs.Map` or a reference to an HTML `class` or `id`.
+   * Add the geocoder to a container. The container can be either a `goongjs.Map`, a reference to an HTML `class` or `id`, or an element.
    *
    * If the container is a `goongjs.Map`, this function will behave identically to `Map.addControl(geocoder)`.
    * If the container is an HTML `id` or `class`, the geocoder will be appended to that element.
+   * If the container is an element or a shadow root, the geocoder will be appended to it, which also works inside shadow trees.
    *
-   * This function will throw an error if the container is not either a map or a `class`/`id` reference.
+   * This function will throw an error if the container is not either a map, a `class`/`id` reference or an element.
    * It will also throw an error if the referenced HTML element cannot be found in the `document.body`.
    *
    * For example, if the HTML body contains the element `<div id='geocoder-container'></div>`, the following script will append the geocoder to `#geocoder-container`:
@@ -91,7 +244,7 @@ GoongGeocoder.prototype = {
    * var geocoder = new GoongGeocoder({ accessToken: goongjs.accessToken });
    * geocoder.addTo('#geocoder-container');
    * ```
-   * @param {String|goongjs.Map} container A reference to the container to which to add the geocoder
+   * @param {String|goongjs.Map|Node} container A reference to the container to which to add the geocoder
    */
   addTo: function (container) {
     // if the container is a map, add the control like normal
@@ -115,6 +268,8 @@ GoongGeocoder.prototype = {
 
         parentEl.appendChild(el);
       }.bind(this));
+    } else if (container && typeof container.appendChild === 'function') {
+      container.appendChild(this.onAdd());
     } else {
       throw new Error("Error: addTo Container must be a goong-js map or a html element reference");
     }
@@ -123,87 +278,129 @@ GoongGeocoder.prototype = {
     if (map && typeof map != 'string') {
       this._map = map;
     }
-    this.autoCompleteService = goongAutocomplete(
-      GoongClient({
-        accessToken: this.options.accessToken,
-        origin: this.options.origin
-      })
-    );
+    this._createServices();
 
-    this._onChange = this._onChange.bind(this);
-    this._onKeyDown = this._onKeyDown.bind(this);
-    this._onPaste = this._onPaste.bind(this);
-    this._onBlur = this._onBlur.bind(this);
-    this._showButton = this._showButton.bind(this);
-    this._hideButton = this._hideButton.bind(this);
-    this._onQueryResult = this._onQueryResult.bind(this);
-    this.clear = this.clear.bind(this);
-    this._updateProximity = this._updateProximity.bind(this);
-    this._collapse = this._collapse.bind(this);
-    this._unCollapse = this._unCollapse.bind(this);
-    this._clear = this._clear.bind(this);
-    this._clearOnBlur = this._clearOnBlur.bind(this);
+    this._debouncedInput = debounce(this._onInput, this.options.debounce);
+    this._domListeners = [];
     var el = this.container = document.createElement('div');
     el.className = 'mapboxgl-ctrl-geocoder mapboxgl-ctrl';
     var searchIcon = this.createIcon('search', '<path d="M7.4 2.5c-2.7 0-4.9 2.2-4.9 4.9s2.2 4.9 4.9 4.9c1 0 1.8-.2 2.5-.8l3.7 3.7c.2.2.4.3.8.3.7 0 1.1-.4 1.1-1.1 0-.3-.1-.5-.3-.8L11.4 10c.4-.8.8-1.6.8-2.5.1-2.8-2.1-5-4.8-5zm0 1.6c1.8 0 3.2 1.4 3.2 3.2s-1.4 3.2-3.2 3.2-3.3-1.3-3.3-3.1 1.4-3.3 3.3-3.3z"/>');
     this._inputEl = document.createElement('input');
     this._inputEl.type = 'text';
     this._inputEl.className = 'mapboxgl-ctrl-geocoder--input';
+    this._inputEl.setAttribute('role', 'combobox');
+    this._inputEl.setAttribute('aria-autocomplete', 'list');
+    this._inputEl.setAttribute('aria-expanded', 'false');
     this.setPlaceholder();
 
     if (this.options.collapsed) {
       this._collapse();
 
-      this.container.addEventListener('mouseenter', this._unCollapse);
-      this.container.addEventListener('mouseleave', this._collapse);
+      this._listen(this.container, 'mouseenter', this._unCollapse);
+      this._listen(this.container, 'mouseleave', this._collapse);
 
-      this._inputEl.addEventListener('focus', this._unCollapse);
+      this._listen(this._inputEl, 'focus', this._unCollapse);
     }
 
     if (this.options.collapsed || this.options.clearOnBlur) {
-      this._inputEl.addEventListener('blur', this._onBlur);
+      this._listen(this._inputEl, 'blur', this._onBlur);
     }
 
-    this._inputEl.addEventListener('keydown', debounce(this._onKeyDown, 200));
+    // let keyboard users reach the clear button
+    this._listen(this.container, 'focusin', this._showButton);
 
-    this._inputEl.addEventListener('paste', this._onPaste);
+    this._listen(this._inputEl, 'keydown', this._onKeyDown);
 
-    this._inputEl.addEventListener('change', this._onChange);
+    // typing, pasting, deleting and IME commits all end up as `input` events
+    this._listen(this._inputEl, 'input', this._onInputEvent);
 
-    this.container.addEventListener('mouseenter', this._showButton);
-    this.container.addEventListener('mouseleave', this._hideButton);
+    this._listen(this._inputEl, 'compositionstart', this._onCompositionStart);
 
-    this._inputEl.addEventListener('keyup', function () {
-    }.bind(this));
+    this._listen(this._inputEl, 'compositionend', this._onCompositionEnd);
+
+    this._listen(this._inputEl, 'focus', this._onFocus);
+
+    this._listen(this._inputEl, 'change', this._onChange);
+
+    this._listen(window, 'online', this._onOnline);
+
+    this._listen(this.container, 'mouseenter', this._showButton);
+    this._listen(this.container, 'mouseleave', this._hideButton);
 
     var actions = document.createElement('div');
     actions.classList.add('mapboxgl-ctrl-geocoder--pin-right');
     this._clearEl = document.createElement('button');
 
-    this._clearEl.setAttribute('aria-label', 'Clear');
+    this._clearEl.type = 'button';
+
+    this._clearEl.setAttribute('aria-label', this._getMessages().clear);
 
-    this._clearEl.addEventListener('click', this.clear);
+    this._listen(this._clearEl, 'click', this.clear);
+
+    if (this.options.collapsed || this.options.clearOnBlur) {
+      this._listen(this._clearEl, 'blur', this._onBlur);
+    }
 
     this._clearEl.className = 'mapboxgl-ctrl-geocoder--button';
     var buttonIcon = this.createIcon('close', '<path d="M3.8 2.5c-.6 0-1.3.7-1.3 1.3 0 .3.2.7.5.8L7.2 9 3 13.2c-.3.3-.5.7-.5 1 0 .6.7 1.3 1.3 1.3.3 0 .7-.2 1-.5L9 10.8l4.2 4.2c.2.3.7.3 1 .3.6 0 1.3-.7 1.3-1.3 0-.3-.2-.7-.3-1l-4.4-4L15 4.6c.3-.2.5-.5.5-.8 0-.7-.7-1.3-1.3-1.3-.3 0-.7.2-1 .3L9 7.1 4.8 2.8c-.3-.1-.7-.3-1-.3z"/>');
 
     this._clearEl.appendChild(buttonIcon);
 
+    if (this.options.geolocate && typeof navigator !== 'undefined' && navigator.geolocation) {
+      this._geolocateEl = document.createElement('button');
+      this._geolocateEl.type = 'button';
+      this._geolocateEl.className = 'mapboxgl-ctrl-geocoder--button mapboxgl-ctrl-geocoder--geolocate';
+      this._geolocateEl.setAttribute('aria-label', this._getMessages().geolocate);
+      this._geolocateEl.setAttribute('title', this._getMessages().geolocate);
+      this._geolocateEl.appendChild(this.createIcon('geolocate', '<path d="M9 2c.4 0 .8.3.8.8v1.3c2.1.3 3.8 2 4.1 4.1h1.3c.4 0 .8.4.8.8s-.3.8-.8.8h-1.3c-.3 2.1-2 3.8-4.1 4.1v1.3c0 .4-.4.8-.8.8s-.8-.3-.8-.8v-1.3c-2.1-.3-3.8-2-4.1-4.1H2.8c-.4 0-.8-.4-.8-.8s.3-.8.8-.8h1.3c.3-2.1 2-3.8 4.1-4.1V2.8c0-.5.4-.8.8-.8zm0 3.5C7.1 5.5 5.5 7.1 5.5 9s1.6 3.5 3.5 3.5 3.5-1.6 3.5-3.5S10.9 5.5 9 5.5zm0 1.5c1.1 0 2 .9 2 2s-.9 2-2 2-2-.9-2-2 .9-2 2-2z"/>'));
+      this._listen(this._geolocateEl, 'click', this._geolocate);
+      this._listen(this._inputEl, 'input', this._updateGeolocateButton.bind(this));
+    }
+
     this._loadingEl = this.createIcon('loading', '<path fill="#333" d="M4.4 4.4l.8.8c2.1-2.1 5.5-2.1 7.6 0l.8-.8c-2.5-2.5-6.7-2.5-9.2 0z"/><path opacity=".1" d="M12.8 12.9c-2.1 2.1-5.5 2.1-7.6 0-2.1-2.1-2.1-5.5 0-7.7l-.8-.8c-2.5 2.5-2.5 6.7 0 9.2s6.6 2.5 9.2 0 2.5-6.6 0-9.2l-.8.8c2.2 2.1 2.2 5.6 0 7.7z"/>');
     actions.appendChild(this._clearEl);
+    if (this._geolocateEl) actions.appendChild(this._geolocateEl);
     actions.appendChild(this._loadingEl);
+
+    // screen reader announcements of loading, result counts and errors
+    this._statusEl = document.createElement('div');
+    this._statusEl.className = 'mapboxgl-ctrl-geocoder--status';
+    this._statusEl.setAttribute('role', 'status');
+    this._statusEl.setAttribute('aria-live', 'polite');
+    this._statusEl.setAttribute('aria-atomic', 'true');
+
     el.appendChild(searchIcon);
     el.appendChild(this._inputEl);
     el.appendChild(actions);
+    el.appendChild(this._statusEl);
+
+    if (this.options.categories && this.options.categories.length) {
+      this._categoriesEl = document.createElement('div');
+      this._categoriesEl.className = 'mapboxgl-ctrl-geocoder--categories';
+      this._categoriesEl.setAttribute('role', 'group');
+      this._categoriesEl.setAttribute('aria-label', this._getMessages().nearby);
+      this.options.categories.forEach(function (category) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'mapboxgl-ctrl-geocoder--category';
+        button.textContent = typeof category === 'string' ? category : category.label;
+        this._listen(button, 'click', function () {
+          this.nearby(typeof category === 'string' ? category : category.query || category.label);
+        }.bind(this));
+        this._categoriesEl.appendChild(button);
+      }, this);
+      el.appendChild(this._categoriesEl);
+    }
     this._typeahead = new Typeahead(this._inputEl, [], {
       filter: false,
       minLength: this.options.minLength,
       limit: this.options.limit
     });
+    this._setupListbox();
+    this._updateGeolocateButton();
     this.setRenderFunction(this.options.render);
     this._typeahead.getItemValue = this.options.getItemValue;
     this.mapMarker = null;
-    this._handleMarker = this._handleMarker.bind(this);
 
     if (this._map) {
       if (this.options.trackProximity) {
@@ -212,6 +409,18 @@ GoongGeocoder.prototype = {
         this._map.on('moveend', this._updateProximity);
       }
 
+      if (this.options.reverseOnClick) {
+        this._map.on('click', this._onMapClick);
+      }
+
+      // nearby results are always drawn on the map
+      if (this.options.showPredictionsOnMap || this.options.categories || this.options.nearbyPrefix) {
+        this._predictionsLayer = new PredictionsLayer(this._map, {
+          onSelect: this._selectPrediction,
+          onHover: this._hoverPrediction
+        });
+      }
+
       this._goongjs = this.options.goongjs;
 
       if (!this._goongjs && this.options.marker) {
@@ -221,8 +430,77 @@ GoongGeocoder.prototype = {
       }
     }
 
+    if (this._urlState) this._restoreUrlState();
+
     return el;
   },
+  /**
+   * Give the suggestions list the semantics of a listbox owned by the combobox input,
+   * keeping `aria-expanded` and `aria-activedescendant` in sync as it is redrawn.
+   * @private
+   */
+  _setupListbox: function () {
+    var geocoder = this;
+    var list = this._typeahead.list;
+    var inputEl = this._inputEl;
+    var listId = 'goong-geocoder-' + nanoid(10);
+
+    list.element.id = listId;
+    list.element.setAttribute('role', 'listbox');
+    list.element.setAttribute('aria-label', this.placeholder);
+    inputEl.setAttribute('aria-controls', listId);
+
+    var draw = list.draw;
+    var drawError = list.drawError;
+    var show = list.show;
+    var hide = list.hide;
+
+    list.draw = function () {
+      draw.apply(list, arguments);
+      Array.prototype.forEach.call(list.element.children, function (li, i) {
+        li.id = listId + '-' + i;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', i === list.active ? 'true' : 'false');
+      });
+      if (list.items.length && list.isVisible()) {
+        inputEl.setAttribute('aria-activedescendant', listId + '-' + list.active);
+        geocoder._highlightPrediction(list.items[list.active].original);
+      } else {
+        inputEl.removeAttribute('aria-activedescendant');
+        geocoder._highlightPrediction(null);
+      }
+    };
+    list.element.addEventListener('mouseover', function (e) {
+      var li = e.target.closest ? e.target.closest('li') : null;
+      var index = Array.prototype.indexOf.call(list.element.children, li);
+      if (list.items[index]) geocoder._highlightPrediction(list.items[index].original);
+    });
+    list.drawError = function () {
+      drawError.apply(list, arguments);
+      // messages are announced through the status region, they are not options
+      var li = list.element.lastChild;
+      if (li) li.setAttribute('role', 'presentation');
+    };
+    list.show = function () {
+      show.apply(list, arguments);
+      inputEl.setAttribute('aria-expanded', 'true');
+    };
+    list.hide = function () {
+      hide.apply(list, arguments);
+      inputEl.setAttribute('aria-expanded', 'false');
+      inputEl.removeAttribute('aria-activedescendant');
+    };
+  },
+
+  /**
+   * Announce a message to screen readers through the status live region
+   * @param {String} message
+   * @private
+   */
+  _announce: function (message) {
+    if (this._statusEl) this._statusEl.textContent = message;
+  },
+
   createIcon: function (name, path) {
     var icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
     icon.setAttribute('class', 'mapboxgl-ctrl-geocoder--icon mapboxgl-ctrl-geocoder--icon-' + name);
@@ -233,53 +511,118 @@ GoongGeocoder.prototype = {
     icon.innerHTML = path;
     return icon;
   },
+  /**
+   * Add a DOM event listener, removed by `onRemove`
+   * @param {EventTarget} target
+   * @param {String} type
+   * @param {Function} listener
+   * @private
+   */
+  _listen: function (target, type, listener) {
+    target.addEventListener(type, listener);
+    this._domListeners.push([target, type, listener]);
+  },
+
   onRemove: function () {
-    this.container.parentNode.removeChild(this.container);
+    if (this.container.parentNode) this.container.parentNode.removeChild(this.container);
+
+    this._debouncedInput.cancel();
+    this._inputPending = false;
+
+    this._domListeners.forEach(function (listener) {
+      listener[0].removeEventListener(listener[1], listener[2]);
+    });
+    this._domListeners = [];
 
     if (this.options.trackProximity && this._map) {
       this._map.off('moveend', this._updateProximity);
     }
 
+    if (this.options.reverseOnClick && this._map) {
+      this._map.off('click', this._onMapClick);
+    }
+
+    this._abortRequest();
+    this._endSession();
+
     this._removeMarker();
 
+    this._removePredictionsLayer();
+    this._predictionsLayer = null;
+
+    // responses still on their way are dropped as stale
+    this.inputString = '';
+    this.fresh = true;
+    this.lastSelected = null;
+    this._queuedQuery = null;
+    this._composing = false;
+
+    this._typeahead = null;
+    this.autoCompleteService = null;
+    this.geocodingService = null;
+    this._removals++;
+
     this._map = null;
     return this;
   },
-  _onPaste: function (e) {
-    var value = (e.clipboardData || window.clipboardData).getData('text');
 
-    if (value.length >= this.options.minLength) {
-      this._geocode(value);
+  /**
+   * Remove the geocoder from its map or HTML container, if any, and unsubscribe all event listeners.
+   * The geocoder can still be added again afterwards.
+   * @returns {GoongGeocoder} this
+   */
+  destroy: function () {
+    if (this._map) {
+      this._map.removeControl(this);
+    } else if (this._typeahead) {
+      this.onRemove();
     }
+    this._eventEmitter.removeAllListeners();
+    return this;
   },
   _onKeyDown: function (e) {
-    var ESC_KEY_CODE = 27,
-      TAB_KEY_CODE = 9;
+    var ESC_KEY_CODE = 27;
 
     if (e.keyCode === ESC_KEY_CODE && this.options.clearAndBlurOnEsc) {
       this._clear(e);
 
       return this._inputEl.blur();
-    } // if target has shadowRoot, then get the actual active element inside the shadowRoot
+    }
+  },
+  _onInputEvent: function () {
+    // the query searched is not settled until the debounced input has run
+    this._inputPending = true;
+    this._debouncedInput();
+  },
+  _onInput: function () {
+    // an IME (Telex, VNI, mobile keyboards) is still composing, wait for the committed text
+    if (this._composing) return;
+    this._inputPending = false;
 
+    var value = this._inputEl.value;
 
-    var target = e.target && e.target.shadowRoot ? e.target.shadowRoot.activeElement : e.target;
-    var value = target ? target.value : '';
+    // a query typed after a selection replaces the selected place
+    if (value && this._urlState) this._urlState.write(value);
 
     if (!value) {
       this.fresh = true; // the user has removed all the text
 
-      if (e.keyCode !== TAB_KEY_CODE) this.clear(e);
+      this.clear();
       return this._clearEl.style.display = 'none';
-    } // TAB, ESC, LEFT, RIGHT, ENTER, UP, DOWN
-
-
-    if (e.metaKey || [TAB_KEY_CODE, ESC_KEY_CODE, 37, 39, 13, 38, 40].indexOf(e.keyCode) !== -1) return;
+    }
 
-    if (target.value.length >= this.options.minLength) {
-      this._geocode(target.value);
+    if (value.length >= this.options.minLength) {
+      this._geocode(value);
     }
   },
+  _onCompositionStart: function () {
+    this._composing = true;
+  },
+  _onCompositionEnd: function () {
+    this._composing = false;
+    // browsers disagree on whether an `input` event follows `compositionend`
+    this._debouncedInput();
+  },
   _showButton: function () {
     if (this._typeahead.selected) this._clearEl.style.display = 'block';
   },
@@ -287,6 +630,9 @@ GoongGeocoder.prototype = {
     if (this._typeahead.selected) this._clearEl.style.display = 'none';
   },
   _onBlur: function (e) {
+    // focus moving between the input and the clear button stays within the control
+    if (e && e.relatedTarget && this.container.contains(e.relatedTarget)) return;
+
     if (this.options.clearOnBlur) {
       this._clearOnBlur(e);
     }
@@ -295,108 +641,908 @@ GoongGeocoder.prototype = {
       this._collapse();
     }
   },
+  _onFocus: function () {
+    this._showHistory();
+  },
   _onChange: function () {
     var selected = this._typeahead.selected;
+    this._updateGeolocateButton();
 
     if (selected && JSON.stringify(selected) !== this.lastSelected) {
       if (!this.options.flyTo) {
         return;
       }
-      var request = this.autoCompleteService.placeDetail({ placeid: selected.place_id }).send();
-      request.then(
-        function (response) {
-          this._clearEl.style.display = 'none';
-          var detail = response.body;
-          var flyOptions;
-          var defaultFlyOptions = {
-            zoom: this.options.zoom
-          };
-          flyOptions = extend({}, defaultFlyOptions, this.options.flyTo); //  ensure that center is not overriden by custom options
-          var lat = detail.result.geometry.location.lat
-          var lng = detail.result.geometry.location.lng
-          flyOptions.center = [lng, lat];
-
-          if (this._map) {
-            this._map.flyTo(flyOptions);
-          }
-          if (this.options.marker && this._goongjs) {
-            this._handleMarker(detail);
-          }
+      return this._select(selected);
+    }
+  },
 
-          // After selecting a result, re-focus the textarea and set
-          // cursor at start.
+  /**
+   * Get the place detail of a prediction, fly the map to it, place the marker and emit the `result` event
+   * @param {Object} selected the prediction, carrying its place detail as `result` to skip the place detail request
+   * @returns {Promise} resolved once the place is selected. Its failures are reported by the `error` event.
+   * @private
+   */
+  _select: function (selected) {
+    var removals = this._removals;
+    // reverse geocoded and local items already carry their place detail
+    var request = selected.result ?
+      Promise.resolve({ body: { result: selected.result } }) :
+      this._send(this._addSessionToken(this.autoCompleteService.placeDetail({ placeid: selected.place_id })));
+    // the selection closes the search session
+    this._endSession();
+    request = request.then(function (response) {
+      return this._transformResult(response.body).then(function (detail) {
+        return { body: detail };
+      });
+    }.bind(this));
+    return request.then(
+      function (response) {
+        if (removals !== this._removals) return;
+        this._clearEl.style.display = 'none';
+        var detail = response.body;
+        var flyOptions;
+        var defaultFlyOptions = {
+          zoom: this.options.zoom
+        };
+        flyOptions = extend({}, defaultFlyOptions, this.options.flyTo); //  ensure that center is not overriden by custom options
+        var lat = detail.result.geometry.location.lat
+        var lng = detail.result.geometry.location.lng
+        flyOptions.center = [lng, lat];
+
+        if (this._map && this.options.flyTo) {
+          this._map.flyTo(flyOptions);
+        }
+        if (this.options.marker && this._goongjs) {
+          this._handleMarker(detail);
+        }
 
+        this._removePredictionsLayer();
+
+        // After selecting a result, re-focus the textarea and set
+        // cursor at start, unless the place was selected by the code.
+
+        if (!this._keepFocus) {
           this._inputEl.focus();
 
           this._inputEl.scrollLeft = 0;
 
           this._inputEl.setSelectionRange(0, 0);
+        }
 
-          this.lastSelected = JSON.stringify(selected);
+        this.lastSelected = JSON.stringify(selected);
 
-          this._eventEmitter.emit('result', {
-            result: detail
+        if (this._urlState) {
+          this._urlState.write(this._inputEl.value, detail.result.place_id || selected.place_id);
+        }
+
+        if (this._history) {
+          this._history.add(selected, detail.result);
+        }
+
+        this._eventEmitter.emit('result', {
+          result: detail
+        });
+      }.bind(this)).catch(
+      function (error) {
+        error = GeocoderError.from(error);
+        if (error.type === GeocoderError.TYPES.ABORTED || removals !== this._removals) return;
+        this._renderError(error);
+        this._eventEmitter.emit('error', { error: error });
+      }.bind(this));
+  },
+
+  _geocode: function (searchInput, category) {
+    if (category === undefined) category = this._nearbyCategory(searchInput);
+    this._abortRequest();
+    this._loadingEl.style.display = 'block';
+    this._eventEmitter.emit('loading', {
+      query: searchInput
+    });
+    this._announce(this._getMessages().loading);
+
+    this.inputString = searchInput;
+
+    var request;
+    var config = this._searchConfig(searchInput, {
+      radius: this.options.radius,
+      proximity: this.options.trackProximity && this._map ? this.options.proximity : null
+    });
+    var coordinates = this.options.reverseGeocode && utils.parseCoordinates(searchInput);
+    var anchor = category ? this._nearbyAnchor() : null;
+    if (coordinates) {
+      request = this._reverseGeocode(coordinates, true);
+    } else if (category) {
+      request = this._searchNearby(category, anchor, true);
+    } else {
+      request = this._search(config, true);
+    }
+    request = request.then(function (response) {
+      return this._measurePredictions(response, this.options.proximity, searchInput);
+    }.bind(this)).then(this._processPredictions.bind(this));
+    request.then(
+      function (response) {
+        // a newer query has been issued since, drop this response
+        if (searchInput !== this.inputString) return;
+        var res = response.body;
+
+        this._loadingEl.style.display = 'none';
+        if (this.fresh) {
+          this.fresh = false;
+        }
+        if (res.predictions.length) {
+          this._clearEl.style.display = 'block';
+          this._eventEmitter.emit('results', res);
+          this._typeahead.update(res.predictions);
+          if (this.options.showPredictionsOnMap || category) {
+            this._showPredictionsOnMap(searchInput);
+          } else {
+            this._removePredictionsLayer();
+          }
+          var messages = this._getMessages();
+          var count = this._typeahead.list.items.length;
+          this._announce(count === 1 ? messages.oneResult : localization.format(messages.results, { count: count }));
+        } else {
+          this._clearEl.style.display = 'none';
+          this._typeahead.selected = null;
+          this._renderNoResults();
+          this._removePredictionsLayer();
+          this._eventEmitter.emit('results', res);
+        }
+        if (category) {
+          this._eventEmitter.emit('nearby', {
+            category: category,
+            anchor: anchor,
+            predictions: res.predictions
           });
-        }.bind(this));
+        }
+      }.bind(this),
+      function (error) {
+        error = GeocoderError.from(error);
+        if (error.type === GeocoderError.TYPES.ABORTED) return;
+        if (searchInput !== this.inputString) return;
+        // search again once the browser is back online
+        if (error.type === GeocoderError.TYPES.OFFLINE) this._queuedQuery = searchInput;
+        this._loadingEl.style.display = 'none';
+        this._clearEl.style.display = 'none';
+        this._typeahead.selected = null;
+        this._renderError(error);
+        this._removePredictionsLayer();
+        this._eventEmitter.emit('results', { predictions: [] });
+        this._eventEmitter.emit('error', { error: error });
+      }.bind(this)
+    );
 
-      request.catch(
-        function (error) {
-          this._eventEmitter.emit('error', { error: error });
-        }.bind(this));
+    return request;
+  },
+
+  /**
+   * Get the category of a nearby search typed after `options.nearbyPrefix`
+   * @param {String} searchInput
+   * @returns {String|null} the category, or `null` if the input is not a nearby search
+   * @private
+   */
+  _nearbyCategory: function (searchInput) {
+    var prefix = this.options.nearbyPrefix;
+    if (!prefix || utils.normalizeText(searchInput.slice(0, prefix.length)) !== utils.normalizeText(prefix)) return null;
+    return searchInput.slice(prefix.length).trim() || null;
+  },
+
+  /**
+   * Get the point nearby searches are made around
+   * @returns {Object|null} the proximity tracked from the map, or else the center of the map, with `lat` and `lng` properties
+   * @private
+   */
+  _nearbyAnchor: function () {
+    var proximity = this.options.proximity;
+    if (proximity && proximity.latitude && proximity.longitude) {
+      return { lat: proximity.latitude, lng: proximity.longitude };
+    }
+    if (this._map) {
+      var center = this._map.getCenter().wrap();
+      return { lat: center.lat, lng: center.lng };
+    }
+    return null;
+  },
+
+  /**
+   * Search the places of a category around a point, and locate them to sort them by distance
+   * @param {String} category the query of the category, such as `cafe`
+   * @param {Object} [anchor] the point to search around, with `lat` and `lng` properties
+   * @param {Boolean} [interactive=false] as in `_search`
+   * @returns {Promise} a response whose body holds the located `predictions`, each with its `distance` from the anchor in kilometers, nearest first
+   * @private
+   */
+  _searchNearby: function (category, anchor, interactive) {
+    var config = this._searchConfig(category, {
+      radius: this.options.nearbyRadius,
+      proximity: anchor && { latitude: anchor.lat, longitude: anchor.lng }
+    });
+    var searchInput = interactive ? this.inputString : undefined;
+    return this._search(config, interactive).then(function (response) {
+      return this._locatePredictions(response.body.predictions || [], searchInput).then(function (predictions) {
+        var located = predictions.reduce(function (located, prediction) {
+          var geometry = (prediction.result && prediction.result.geometry) || prediction.geometry;
+          if (geometry) {
+            located.push(extend(prediction, {
+              distance: anchor ? utils.distance(anchor, geometry.location) : null
+            }));
+          }
+          return located;
+        }, []);
+        if (anchor) {
+          located.sort(function (a, b) {
+            return a.distance - b.distance;
+          });
+        }
+        // the bounding box can only be checked once the places are located
+        return {
+          body: extend(response.body, { predictions: this._restrictPredictions(located) })
+        };
+      }.bind(this));
+    }.bind(this));
+  },
+
+  /**
+   * Build the parameters of an autocomplete request
+   * @param {String} searchInput the query
+   * @param {Object} opts the `radius` and `proximity` to search with
+   * @returns {Object} the autocomplete request parameters
+   * @private
+   */
+  _searchConfig: function (searchInput, opts) {
+    var config = {
+      input: searchInput,
+      radius: opts.radius
+    };
+    var proximity = opts.proximity;
+    var bbox = this._restrictBounds();
+    if (bbox) {
+      var circle = utils.boundsToCircle(bbox);
+      config.radius = Math.min(opts.radius || Infinity, circle.radius);
+      // search around the bounding box rather than around a point outside of it
+      if (!proximity || !utils.inBounds({ lat: proximity.latitude, lng: proximity.longitude }, bbox)) proximity = circle;
+    }
+    if (proximity && proximity.latitude && proximity.longitude) {
+      config.location = proximity.latitude + ',' + proximity.longitude;
+    }
+    return config;
+  },
+
+  /**
+   * Get the bounding box results are restricted to
+   * @returns {Array<Number>|undefined} the map viewport if `options.restrictToViewport` is set, or else `options.bbox`
+   * @private
+   */
+  _restrictBounds: function () {
+    if (this.options.restrictToViewport && this._map) {
+      var bounds = this._map.getBounds();
+      return [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+    }
+    return this.options.bbox;
+  },
+
+  /**
+   * Hide or demote the predictions outside of the bounding box or the administrative area of the geocoder
+   * @param {Array<Object>} predictions
+   * @returns {Array<Object>} the predictions, according to `options.restrictMode`
+   * @private
+   */
+  _restrictPredictions: function (predictions) {
+    var bbox = this._restrictBounds();
+    var area = this.options.adminArea;
+    if (!bbox && !area) return predictions;
+
+    var inside = [];
+    var outside = [];
+    predictions.forEach(function (prediction) {
+      var geometry = (prediction.result && prediction.result.geometry) || prediction.geometry;
+      var isInside = (!bbox || !geometry || utils.inBounds(geometry.location, bbox)) &&
+        (!area || utils.matchesArea(prediction, area));
+      (isInside ? inside : outside).push(prediction);
+    });
+    return this.options.restrictMode === 'demote' ? inside.concat(outside) : inside;
+  },
+
+  /**
+   * Autocomplete a query with the Goong API and the local and external geocoders
+   * @param {Object} config the autocomplete request parameters
+   * @param {Boolean} [interactive=false] if `true`, the search is typed in the control: it is aborted by the next query and sent with the session token
+   * @returns {Promise} a response whose body holds the merged `predictions`
+   * @private
+   */
+  _search: function (config, interactive) {
+    var searchInput = this.inputString;
+    return this._pipe('beforeSearch', config).then(function (config) {
+      // a newer query has been typed while the hooks ran
+      if (interactive && searchInput !== this.inputString) {
+        throw new GeocoderError(GeocoderError.TYPES.ABORTED, 'Request aborted');
+      }
+      return this._searchWith(config, interactive);
+    }.bind(this));
+  },
+
+  /**
+   * Autocomplete a query, once the `beforeSearch` hooks have run
+   * @param {Object} config the autocomplete request parameters
+   * @param {Boolean} [interactive=false]
+   * @returns {Promise} a response whose body holds the merged `predictions`
+   * @private
+   */
+  _searchWith: function (config, interactive) {
+    var request;
+    if (this.options.localGeocoderOnly) {
+      request = Promise.resolve({ body: { status: 'OK', predictions: [] } });
+    } else {
+      var searchRequest = this.autoCompleteService.search(config);
+      if (interactive) {
+        this._addSessionToken(searchRequest);
+        this.request = searchRequest;
+      }
+      request = this._send(searchRequest);
+    }
+
+    var searchInput = interactive ? this.inputString : undefined;
+    if (!this.options.localGeocoder && !this.options.externalGeocoder) {
+      return request.then(function (response) {
+        return this._restrictResponse(response.body, response.body.predictions || [], searchInput);
+      }.bind(this));
+    }
+
+    var localResults = this.options.localGeocoder ? this.options.localGeocoder(config.input) || [] : [];
+    var externalRequest = Promise.resolve([]);
+    if (this.options.externalGeocoder) {
+      externalRequest = Promise.resolve().then(function () {
+        return this.options.externalGeocoder(config.input);
+      }.bind(this)).catch(function (error) {
+        this._eventEmitter.emit('error', { error: GeocoderError.from(error) });
+        return [];
+      }.bind(this));
+    }
+
+    return Promise.all([request, externalRequest]).then(function (responses) {
+      var body = responses[0].body;
+      var ownPredictions = localResults.concat(responses[1] || []).map(utils.toLocalPrediction);
+      var predictions = this.options.localResultsFirst ?
+        ownPredictions.concat(body.predictions || []) :
+        (body.predictions || []).concat(ownPredictions);
+      if (this.options.dedupeResults) predictions = utils.dedupePredictions(predictions);
+      return this._restrictResponse(body, predictions, searchInput);
+    }.bind(this));
+  },
+
+  /**
+   * Restrict the predictions of an autocomplete response, once located if they are checked against a bounding box
+   * @param {Object} body the body of the response
+   * @param {Array<Object>} predictions
+   * @param {String} [searchInput] as in `_locatePredictions`
+   * @returns {Promise} a response whose body holds the restricted `predictions`
+   * @private
+   */
+  _restrictResponse: function (body, predictions, searchInput) {
+    var located = this._restrictBounds() ? this._locatePredictions(predictions, searchInput) : Promise.resolve(predictions);
+    return located.then(function (predictions) {
+      return {
+        body: extend(body, { predictions: this._restrictPredictions(predictions) })
+      };
+    }.bind(this));
+  },
+
+  /**
+   * Tell whether a query of the control is settled: still the one searched, and not followed by an input waiting for `options.debounce`
+   * @param {String} searchInput
+   * @returns {Boolean}
+   * @private
+   */
+  _querySettled: function (searchInput) {
+    return searchInput === this.inputString && !this._inputPending;
+  },
+
+  /**
+   * Locate the first `options.limit` predictions carrying no position, with a place detail request each, answered by the cache when it can
+   * @param {Array<Object>} predictions
+   * @param {String} [searchInput] the query typed in the control the predictions answer: none is located unless it is settled
+   * @param {Function} [needless] tells the predictions that need no position, besides those already carrying one
+   * @returns {Promise<Array<Object>>} the predictions, those located carrying their place detail as `result`
+   * @private
+   */
+  _locatePredictions: function (predictions, searchInput, needless) {
+    var limit = this.options.limit;
+    var settled = searchInput === undefined || this._querySettled(searchInput);
+    return Promise.all(predictions.map(function (prediction, index) {
+      if (prediction.result || prediction.geometry || index >= limit || !settled) return prediction;
+      if (needless && needless(prediction)) return prediction;
+      // the located prediction keeps its detail, selecting it needs no other request
+      return this._resolvePrediction(prediction).then(function (result) {
+        return extend(prediction, { result: result });
+      }, function () {
+        return prediction;
+      });
+    }, this));
+  },
+
+  /**
+   * Look up the addresses nearest to a point with the Geocode API
+   * @param {Object} coordinates a point given as an object with `latitude` and `longitude` properties
+   * @param {Boolean} [interactive=false] if `true`, the request is the one aborted by the next query of the control
+   * @returns {Promise} a response whose body holds the addresses as `predictions`, each carrying its place detail as `result`
+   * @private
+   */
+  _reverseGeocode: function (coordinates, interactive) {
+    var config = {
+      latlng: coordinates.latitude + ',' + coordinates.longitude
+    };
+    var request = this.geocodingService.reverseGeocode(config);
+    if (interactive) this.request = request;
+    return this._send(request).then(function (response) {
+      var results = response.body.results || [];
+      return {
+        body: {
+          status: response.body.status,
+          predictions: results.slice(0, this.options.limit).map(utils.placeToPrediction)
+        }
+      };
+    }.bind(this));
+  },
+
+  _onMapClick: function (e) {
+    // the click selects a prediction drawn on the map
+    if (this._predictionsLayer && this._predictionsLayer.contains(e.point)) return;
+
+    return this._selectNearest({
+      latitude: e.lngLat.lat,
+      longitude: e.lngLat.lng
+    });
+  },
+
+  /**
+   * Reverse geocode a point and select the nearest address
+   * @param {Object} coordinates a point given as an object with `latitude` and `longitude` properties
+   * @returns {Promise}
+   * @private
+   */
+  _selectNearest: function (coordinates) {
+    var query = coordinates.latitude + ',' + coordinates.longitude;
+    this._abortRequest();
+    this._loadingEl.style.display = 'block';
+    this._eventEmitter.emit('loading', {
+      query: query
+    });
+
+    this.inputString = query;
+
+    return this._reverseGeocode(coordinates, true).then(
+      function (response) {
+        if (query !== this.inputString) return;
+        var res = response.body;
+        this._loadingEl.style.display = 'none';
+        this._eventEmitter.emit('results', res);
+        if (!res.predictions.length) {
+          this._renderNoResults();
+          return;
+        }
+        var selected = res.predictions[0];
+        this._typeahead.selected = selected;
+        this._inputEl.value = this._typeahead.getItemValue(selected);
+        return this._onChange();
+      }.bind(this),
+      function (error) {
+        error = GeocoderError.from(error);
+        if (error.type === GeocoderError.TYPES.ABORTED) return;
+        if (query !== this.inputString) return;
+        this._loadingEl.style.display = 'none';
+        this._eventEmitter.emit('error', { error: error });
+      }.bind(this)
+    );
+  },
+
+  /**
+   * Show the "Use my location" button while the input is empty
+   * @private
+   */
+  _updateGeolocateButton: function () {
+    if (!this._geolocateEl) return;
+    this._geolocateEl.style.display = this._inputEl.value ? 'none' : 'block';
+  },
+
+  /**
+   * Locate the user, set the proximity to their position, fly there and select the nearest address
+   * @private
+   */
+  _geolocate: function () {
+    this._geolocateEl.style.display = 'none';
+    this._loadingEl.style.display = 'block';
+    var removals = this._removals;
+
+    navigator.geolocation.getCurrentPosition(
+      function (position) {
+        if (removals !== this._removals) return;
+        var coordinates = {
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude
+        };
+        this.setProximity(coordinates);
+        this._eventEmitter.emit('geolocate', { coords: position.coords });
+        if (this._map && this.options.flyTo) {
+          this._map.flyTo(extend({ zoom: this.options.zoom }, this.options.flyTo, {
+            center: [coordinates.longitude, coordinates.latitude]
+          }));
+        }
+        this._selectNearest(coordinates);
+      }.bind(this),
+      function (positionError) {
+        if (removals !== this._removals) return;
+        var types = {};
+        types[positionError.PERMISSION_DENIED] = GeocoderError.TYPES.GEOLOCATION_DENIED;
+        types[positionError.TIMEOUT] = GeocoderError.TYPES.GEOLOCATION_TIMEOUT;
+        var type = types[positionError.code] || GeocoderError.TYPES.GEOLOCATION_UNAVAILABLE;
+        var error = new GeocoderError(type, positionError.message || GeocoderError.MESSAGES[type], positionError);
+
+        this._loadingEl.style.display = 'none';
+        this._updateGeolocateButton();
+        this._renderError(error);
+        this._eventEmitter.emit('error', { error: error });
+      }.bind(this),
+      {
+        enableHighAccuracy: true,
+        timeout: this.options.geolocateTimeout
+      }
+    );
+  },
+
+  /**
+   * Run a hook of every middleware in turn, each one given the value returned by the previous one
+   * @param {String} hook the name of the hook
+   * @param {*} value
+   * @returns {Promise} the value returned by the last middleware
+   * @private
+   */
+  _pipe: function (hook, value) {
+    return this._middleware.reduce(function (promise, middleware) {
+      if (typeof middleware[hook] !== 'function') return promise;
+      return promise.then(function (current) {
+        return Promise.resolve(middleware[hook](current)).then(function (next) {
+          return next === undefined ? current : next;
+        });
+      });
+    }, Promise.resolve(value));
+  },
+
+  /**
+   * Give the predictions of a response their distance and bearing from a point, then sort and cut them off
+   * by distance as set by `options.sortByDistance` and `options.maxDistance`
+   * @param {Object} response a response whose body holds the `predictions`
+   * @param {Object} [proximity] the point, with `latitude` and `longitude` properties
+   * @param {String} [searchInput] as in `_locatePredictions`
+   * @returns {Promise} the response, with the predictions measured
+   * @private
+   */
+  _measurePredictions: function (response, proximity, searchInput) {
+    var predictions = response.body.predictions || [];
+    if (!proximity || !proximity.latitude || !proximity.longitude || !predictions.length) return Promise.resolve(response);
+
+    var origin = { lat: proximity.latitude, lng: proximity.longitude };
+    var maxDistance = this.options.maxDistance;
+    var locate = this.options.sortByDistance || typeof maxDistance === 'number';
+    var measured = function (prediction) {
+      return prediction.distance_meters !== undefined && prediction.distance_meters !== null;
+    };
+    var measure = function (prediction) {
+      var geometry = (prediction.result && prediction.result.geometry) || prediction.geometry;
+      var location = geometry && geometry.location;
+      var meters = measured(prediction) ? Number(prediction.distance_meters) : NaN;
+      var distance = isFinite(meters) ? meters / 1000 : location ? utils.distance(origin, location) : null;
+      if (distance === null) return prediction;
+      return extend(prediction, {
+        distance: distance,
+        bearing: location ? utils.bearing(origin, location) : null
+      });
+    };
+
+    var located = locate ? this._locatePredictions(predictions, searchInput, measured) : Promise.resolve(predictions);
+    return located.then(function (predictions) {
+      predictions = predictions.map(measure);
+      if (typeof maxDistance === 'number') {
+        predictions = predictions.filter(function (prediction) {
+          return typeof prediction.distance !== 'number' || prediction.distance <= maxDistance;
+        });
+      }
+      if (this.options.sortByDistance) {
+        predictions = predictions.map(function (prediction, index) {
+          return { prediction: prediction, index: index };
+        }).sort(function (a, b) {
+          var da = typeof a.prediction.distance === 'number' ? a.prediction.distance : Infinity;
+          var db = typeof b.prediction.distance === 'number' ? b.prediction.distance : Infinity;
+          return da - db || a.index - b.index;
+        }).map(function (entry) {
+          return entry.prediction;
+        });
+      }
+      return extend(response, {
+        body: extend(response.body, { predictions: predictions })
+      });
+    }.bind(this));
+  },
+
+  /**
+   * Describe the distance of a prediction for the render function
+   * @param {Object} item the prediction
+   * @returns {Object|null} the `distance`, the `bearing` and their localized `text`, or `null` if the distance is unknown
+   * @private
+   */
+  _describeDistance: function (item) {
+    if (typeof item.distance !== 'number') return null;
+    var bearing = typeof item.bearing === 'number' ? item.bearing : null;
+    return {
+      distance: item.distance,
+      bearing: bearing,
+      text: localization.formatDistance(item.distance, bearing, this.getLanguage(), this._getMessages())
+    };
+  },
+
+  /**
+   * Run the `transformResult` hooks on a copy of a place detail response, leaving the
+   * cached response and the selected prediction as they are if a hook changes it in place
+   * @param {Object} detail the place detail response, whose `result` is the place
+   * @returns {Promise<Object>} the transformed response
+   * @private
+   */
+  _transformResult: function (detail) {
+    return this._pipe('transformResult', JSON.parse(JSON.stringify(detail)));
+  },
+
+  /**
+   * Apply the `filterPrediction` and `sortPredictions` hooks to a response
+   * @param {Object} response a response whose body holds the `predictions`
+   * @returns {Promise} the response, with the predictions filtered and sorted
+   * @private
+   */
+  _processPredictions: function (response) {
+    var predictions = this._middleware.reduce(function (promise, middleware) {
+      if (typeof middleware.filterPrediction !== 'function') return promise;
+      return promise.then(function (predictions) {
+        return Promise.all(predictions.map(function (prediction) {
+          return middleware.filterPrediction(prediction);
+        })).then(function (keep) {
+          return predictions.filter(function (prediction, index) {
+            return keep[index] !== false;
+          });
+        });
+      });
+    }, Promise.resolve(response.body.predictions || []));
+
+    return predictions.then(function (predictions) {
+      return this._pipe('sortPredictions', predictions);
+    }.bind(this)).then(function (predictions) {
+      return extend(response, {
+        body: extend(response.body, { predictions: predictions })
+      });
+    });
+  },
+
+  /**
+   * Add a middleware, run after those already added
+   * @param {Object} middleware an object with any of the `beforeSearch`, `filterPrediction`, `sortPredictions` and `transformResult` hooks described in the options
+   * @returns {GoongGeocoder} this
+   */
+  use: function (middleware) {
+    this._middleware.push(middleware);
+    return this;
+  },
+
+  /**
+   * Get the place detail of a prediction, without a request if it already carries it
+   * @param {Object} prediction
+   * @returns {Promise<Object>} the [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result
+   * @private
+   */
+  _resolvePrediction: function (prediction) {
+    if (prediction.result) return Promise.resolve(prediction.result);
+    return this._send(this.autoCompleteService.placeDetail({ placeid: prediction.place_id })).then(function (response) {
+      return response.body.result;
+    });
+  },
+
+  /**
+   * Draw the predictions listed in the dropdown on the map
+   * @param {String} searchInput the query the predictions answer
+   * @private
+   */
+  _showPredictionsOnMap: function (searchInput) {
+    if (!this._predictionsLayer) return;
+
+    var predictions = this._typeahead.list.items.map(function (item) {
+      return item.original;
+    });
+
+    this._locatePredictions(predictions, searchInput).then(function (located) {
+      if (searchInput !== this.inputString || !this._predictionsLayer) return;
+
+      this._layerPredictions = predictions;
+      this._predictionsLayer.setData(located.reduce(function (points, prediction, index) {
+        var geometry = (prediction.result && prediction.result.geometry) || prediction.geometry;
+        if (geometry) {
+          points.push({
+            index: index,
+            description: prediction.description,
+            location: geometry.location
+          });
+        }
+        return points;
+      }, []));
+      var list = this._typeahead.list;
+      if (list.items.length && list.isVisible()) this._highlightPrediction(list.items[list.active].original);
+    }.bind(this));
+  },
+
+  /**
+   * Highlight the place of a prediction on the map
+   * @param {Object} prediction the prediction, or `null` to highlight none
+   * @private
+   */
+  _highlightPrediction: function (prediction) {
+    if (!this._predictionsLayer || !this._layerPredictions) return;
+    this._predictionsLayer.highlight(this._layerPredictions.indexOf(prediction));
+  },
+
+  /**
+   * Select the prediction of a place clicked on the map
+   * @param {Number} index
+   * @private
+   */
+  _selectPrediction: function (index) {
+    var prediction = this._layerPredictions && this._layerPredictions[index];
+    if (!prediction) return;
+    this._typeahead.value(prediction);
+    this._typeahead.list.clear();
+    this._typeahead.list.draw();
+  },
+
+  /**
+   * Make the prediction of a place hovered on the map the active item of the list
+   * @param {Number} index
+   * @private
+   */
+  _hoverPrediction: function (index) {
+    var prediction = this._layerPredictions && this._layerPredictions[index];
+    var list = this._typeahead.list;
+    if (!prediction || !list.isVisible()) return;
+    for (var i = 0; i < list.items.length; i++) {
+      if (list.items[i].original === prediction && list.active !== i) list.move(i);
+    }
+  },
+
+  _removePredictionsLayer: function () {
+    this._layerPredictions = null;
+    if (this._predictionsLayer) this._predictionsLayer.remove();
+  },
+
+  /**
+   * Send an API request, answering it from the cache when possible
+   * @param {GAPIRequest} request the request to send
+   * @returns {Promise} the response, cached responses only carrying a `body`. Rejects with a `GeocoderError`.
+   * @private
+   */
+  _send: function (request) {
+    // results come in the language of the control, once one is chosen
+    if (this.options.language) request.query.language = this.options.language;
+    // the administrative units of predictions, to match them against `options.adminArea`
+    if (this.options.adminArea && /autocomplete$/i.test(request.path)) request.query.more_compound = 'true';
+
+    if (!this._cache) return this._sendWithRetry(request, 0);
+
+    var key = this._cacheKey(request);
+    // the place detail request of a selection closes the billed session of its token
+    var closesSession = request.query.sessiontoken && /detail$/i.test(request.path);
+    var cached = !closesSession && this._cache.get(key);
+    if (cached) return Promise.resolve({ body: cached });
+
+    return this._sendWithRetry(request, 0).then(function (response) {
+      // other statuses, such as `OVER_QUERY_LIMIT`, may not last
+      if (response.body && response.body.status === 'OK') this._cache.set(key, response.body);
+      return response;
+    }.bind(this));
+  },
+
+  /**
+   * Send an API request, sending it again after a growing delay while it fails with a transient error
+   * @param {GAPIRequest} request the request to send
+   * @param {Number} attempt the number of retries so far
+   * @returns {Promise} the response. Rejects with a `GeocoderError`.
+   * @private
+   */
+  _sendWithRetry: function (request, attempt) {
+    return request.send().catch(function (error) {
+      error = GeocoderError.from(error);
+      if (!error.retryable || attempt >= this.options.retries) throw error;
+
+      var delay = GeocoderError.retryAfter(error);
+      if (delay === null) delay = this.options.retryDelay * Math.pow(2, attempt);
+      // the control may move on to another query while waiting
+      var tracked = this.request === request;
+
+      return new Promise(function (resolve) {
+        setTimeout(resolve, delay);
+      }).then(function () {
+        if (tracked && this.request !== request) {
+          throw new GeocoderError(GeocoderError.TYPES.ABORTED, 'Request aborted', error.original);
+        }
+        var retry = request.clone();
+        if (tracked) this.request = retry;
+        return this._sendWithRetry(retry, attempt + 1);
+      }.bind(this));
+    }.bind(this));
+  },
+
+  /**
+   * Search the query that failed while offline again
+   * @private
+   */
+  _onOnline: function () {
+    var query = this._queuedQuery;
+    this._queuedQuery = null;
+    if (query && query === this.inputString) this._geocode(query);
+  },
+
+  /**
+   * Build the cache key of a request from its endpoint and query parameters
+   * @param {GAPIRequest} request
+   * @returns {String} the cache key
+   * @private
+   */
+  _cacheKey: function (request) {
+    var query = request.query;
+    return request.origin + request.path + '?' + Object.keys(query).filter(function (key) {
+      return key !== 'sessiontoken';
+    }).sort().map(function (key) {
+      return key + '=' + query[key];
+    }).join('&');
+  },
+
+  /**
+   * Add the session token to a request, starting a new session if none is under way or it has timed out
+   * @param {GAPIRequest} request an autocomplete or place detail request
+   * @returns {GAPIRequest} the request
+   * @private
+   */
+  _addSessionToken: function (request) {
+    if (!this.options.sessionToken) return request;
 
-      return request;      
+    if (!this._sessionToken || Date.now() - this._sessionStart > this.options.sessionTimeout) {
+      this._sessionToken = typeof this.options.sessionToken === 'function' ? this.options.sessionToken() : nanoid();
+      this._sessionStart = Date.now();
     }
+    // the services do not accept a session token in their config. The query is
+    // updated in place so that the token is kept by `request.clone()`
+    request.query.sessiontoken = this._sessionToken;
+    return request;
   },
 
-  _geocode: function (searchInput) {
-    this._loadingEl.style.display = 'block';
-    this._eventEmitter.emit('loading', {
-      query: searchInput
-    });
+  /**
+   * End the search session, the next search starts a new one
+   * @private
+   */
+  _endSession: function () {
+    this._sessionToken = null;
+  },
 
-    this.inputString = searchInput;
+  /**
+   * Clear the response cache
+   * @returns {GoongGeocoder} this
+   */
+  clearCache: function () {
+    if (this._cache && typeof this._cache.clear === 'function') this._cache.clear();
+    return this;
+  },
 
-    var request;
-    var config = {
-      input: searchInput,
-      radius: this.options.radius
-    };
-    if (this.options.trackProximity && this._map && this.options.proximity && this.options.proximity.latitude && this.options.proximity.longitude) {
-      config = extend(config, { location: this.options.proximity.latitude + "," + this.options.proximity.longitude })
+  /**
+   * Abort the in-flight search request, if any
+   * @private
+   */
+  _abortRequest: function () {
+    if (this.request) {
+      this.request.abort();
+      this.request = null;
     }
-    request = this.autoCompleteService.search(config).send();
-    request.then(
-      function (response) {
-        var res = response.body;
-
-        this._loadingEl.style.display = 'none';
-        if (this.fresh) {
-          this.fresh = false;
-        }
-        if (res.predictions.length) {
-          this._clearEl.style.display = 'block';
-          this._eventEmitter.emit('results', res);
-          this._typeahead.update(res.predictions);
-        } else {
-          this._clearEl.style.display = 'none';
-          this._typeahead.selected = null;
-          this._renderNoResults();
-          this._eventEmitter.emit('results', res);
-        }
-      }.bind(this));
-    request.catch(
-      function (error) {
-        if (error && error.status === 0) return;
-        this._loadingEl.style.display = 'none';
-        this._clearEl.style.display = 'none';
-        this._typeahead.selected = null;
-        this._renderError();
-        this._eventEmitter.emit('results', { predictions: [] });
-        this._eventEmitter.emit('error', { error: error });
-      }.bind(this)
-    );
-
-    return request;
   },
 
   /**
@@ -407,6 +1553,12 @@ GoongGeocoder.prototype = {
    */
   _clear: function (ev) {
     if (ev) ev.preventDefault();
+    this._abortRequest();
+    this._endSession();
+    this.inputString = '';
+    this._queuedQuery = null;
+    this._loadingEl.style.display = 'none';
+    this._announce('');
     this._inputEl.value = '';
     this._typeahead.selected = null;
 
@@ -418,8 +1570,14 @@ GoongGeocoder.prototype = {
 
     this._removeMarker();
 
+    this._removePredictionsLayer();
+
+    this._updateGeolocateButton();
+
     this.lastSelected = null;
 
+    if (this._urlState) this._urlState.clear();
+
     this._eventEmitter.emit('clear');
 
     this.fresh = true;
@@ -434,6 +1592,101 @@ GoongGeocoder.prototype = {
     this._clear(ev);
 
     this._inputEl.focus();
+
+    this._showHistory();
+  },
+
+  /**
+   * List the favorite and recent places in the dropdown if the input is empty
+   * @private
+   */
+  _showHistory: function () {
+    if (!this._history || this._inputEl.value) return;
+
+    var favorites = this._history.getFavorites();
+    var items = favorites.concat(this._history.getRecent().filter(function (item) {
+      return !favorites.some(function (favorite) {
+        return favorite.place_id ? favorite.place_id === item.place_id : favorite.description === item.description;
+      });
+    }));
+    if (!items.length) return;
+
+    // bypass `minLength`: draw the list directly, leaving no data for the typeahead
+    // to filter once the user starts typing
+    var typeahead = this._typeahead;
+    typeahead.data = [];
+    typeahead.list.clear();
+    items.slice(0, this.options.limit).forEach(function (item) {
+      typeahead.list.add({
+        original: item,
+        string: typeahead.render(item)
+      });
+    });
+    typeahead.list.draw();
+  },
+
+  /**
+   * Select the place found in the URL, as if picked from the dropdown but without focusing the input
+   * @private
+   */
+  _restoreUrlState: function () {
+    var state = this._urlState.read();
+    if (!state.placeId) {
+      if (state.query) this.setInput(state.query);
+      return;
+    }
+
+    var typeahead = this._typeahead;
+    this._send(this.autoCompleteService.placeDetail({ placeid: state.placeId })).then(
+      function (response) {
+        // the control was removed, or the user has moved on while the detail loaded
+        if (this._typeahead !== typeahead || typeahead.selected || this.inputString) return;
+        var result = response.body.result;
+        var selected = utils.placeToPrediction(result);
+        if (state.query) selected.description = state.query;
+
+        this._selectPlace(selected);
+      }.bind(this),
+      function (error) {
+        this._eventEmitter.emit('error', { error: GeocoderError.from(error) });
+      }.bind(this)
+    );
+  },
+
+  /**
+   * Select a place as if picked from the dropdown, leaving the focus where it is
+   * @param {Object} prediction the prediction, carrying its place detail as `result` to skip the place detail request
+   * @returns {Promise} resolved once the place is selected
+   * @private
+   */
+  _selectPlace: function (prediction) {
+    this._typeahead.selected = prediction;
+    this._inputEl.value = this._typeahead.getItemValue(prediction);
+    this._updateGeolocateButton();
+    this._keepFocus = true;
+    return this._select(prediction).then(function () {
+      this._keepFocus = false;
+    }.bind(this));
+  },
+
+  /**
+   * Select a place without focusing the input: the input shows it, the marker is placed on it,
+   * the map flies to it if `options.flyTo` is set, and the `result` event is emitted.
+   * The geocoder must have been added.
+   * @param {Object} place a [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result, with a `geometry`
+   * @returns {Promise} resolved once the place is selected. Its failures are reported by the `error` event.
+   */
+  setPlace: function (place) {
+    return this._selectPlace(utils.placeToPrediction(place));
+  },
+
+  /**
+   * Clear the input and the selected place without focusing the input, emitting the `clear` event
+   * @returns {GoongGeocoder} this
+   */
+  clearPlace: function () {
+    this._clear();
+    return this;
   },
 
   /**
@@ -455,9 +1708,13 @@ GoongGeocoder.prototype = {
     }
   },
   _onQueryResult: function (response) {
-    var results = response.result;
-    this._typeahead.selected = results;
-    this._inputEl.value = results.geometry.name;
+    var results = response.body.predictions || [];
+    if (!results.length) return;
+
+    var result = results[0];
+    this._typeahead.selected = result;
+    this._inputEl.value = this._typeahead.getItemValue(result);
+    this._onChange();
   },
   _updateProximity: function () {
     // proximity is designed for local scale, if the user is looking at the whole world,
@@ -479,7 +1736,9 @@ GoongGeocoder.prototype = {
   },
   _collapse: function () {
     // do not collapse if input is in focus
-    if (!this._inputEl.value && this._inputEl !== document.activeElement) this.container.classList.add('mapboxgl-ctrl-geocoder--collapsed');
+    // inside a shadow tree, the document only knows the host element as active
+    var root = this._inputEl.getRootNode ? this._inputEl.getRootNode() : document;
+    if (!this._inputEl.value && this._inputEl !== root.activeElement) this.container.classList.add('mapboxgl-ctrl-geocoder--collapsed');
   },
   _unCollapse: function () {
     this.container.classList.remove('mapboxgl-ctrl-geocoder--collapsed');
@@ -491,19 +1750,222 @@ GoongGeocoder.prototype = {
    * @returns {GoongGeocoder} this
    */
   query: function (searchInput) {
-    this._geocode(searchInput).then(this._onQueryResult);
+    this._geocode(searchInput).then(this._onQueryResult, function () {
+      // failures are reported by the `error` event
+    });
+
+    return this;
+  },
+  /**
+   * Search for places, without the control having to be added to a map or the DOM.
+   * Works in Node and web workers.
+   *
+   * ```javascript
+   * var geocoder = new GoongGeocoder({ accessToken: 'YOUR_API_KEY' });
+   * geocoder.search('san bay noi bai', { limit: 3 }).then(function (features) {
+   *   console.log(features[0].properties.formatted_address);
+   * });
+   * ```
+   * @param {String} searchInput location name or other search input
+   * @param {Object} [opts] Settings overriding the options of the geocoder for this search.
+   * @param {Object} [opts.proximity=options.proximity] A geographical point given as an object with `latitude` and `longitude` properties.
+   * @param {Number} [opts.radius=options.radius] Distance by kilometers around `opts.proximity`.
+   * @param {Number} [opts.limit=options.limit] Maximum number of places.
+   * @returns {Promise<Array<Object>>} the places found, including those of `options.localGeocoder` and `options.externalGeocoder`, as GeoJSON features
+   * shaped like those of `batchGeocode`: the point of the place, or no geometry as Goong predictions carry no location until their detail is fetched,
+   * and the `place_id`, `name` and `formatted_address` of the place as properties, along with its `distance` in kilometers and its `bearing` in degrees from `opts.proximity` when known.
+   */
+  search: function (searchInput, opts) {
+    return this._searchPredictions(searchInput, opts).then(function (predictions) {
+      return predictions.map(utils.toFeature);
+    });
+  },
+
+  /**
+   * Search for places as `search` does
+   * @param {String} searchInput
+   * @param {Object} [opts] as in `search`
+   * @returns {Promise<Array<Object>>} the predictions
+   * @private
+   */
+  _searchPredictions: function (searchInput, opts) {
+    opts = extend({
+      proximity: this.options.proximity,
+      radius: this.options.radius,
+      limit: this.options.limit
+    }, opts);
+    if (!this.autoCompleteService) this._createServices();
+
+    var coordinates = this.options.reverseGeocode && utils.parseCoordinates(searchInput);
+    var request = coordinates ?
+      this._reverseGeocode(coordinates) :
+      this._search(this._searchConfig(searchInput, opts));
+    return request.then(function (response) {
+      return this._measurePredictions(response, opts.proximity);
+    }.bind(this)).then(this._processPredictions.bind(this)).then(function (response) {
+      return (response.body.predictions || []).slice(0, opts.limit);
+    });
+  },
 
+  /**
+   * Search the places of a category around the map, such as `cafe`, and list them nearest first in the dropdown and on the map.
+   * Places are searched around the proximity tracked from the map, or else around its center, within `options.nearbyRadius`.
+   * Emits the `nearby` event once they are found.
+   * @param {String} category the query of the category
+   * @returns {GoongGeocoder} this
+   */
+  nearby: function (category) {
+    var prefix = this.options.nearbyPrefix;
+    this._inputEl.value = prefix ? prefix.trim() + ' ' + category : category;
+    this._typeahead.selected = null;
+    this._updateGeolocateButton();
+    this._geocode(this._inputEl.value, category);
     return this;
   },
-  _renderError: function () {
-    var errorMessage = "<div class='goong-js-geocoder--error'>There was an error reaching the server</div>";
+
+  /**
+   * Get the detail of a place, without the control having to be added to a map or the DOM.
+   * @param {String} placeId the `place_id` of a prediction
+   * @returns {Promise<Object>} the [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result
+   */
+  getDetail: function (placeId) {
+    if (!this.autoCompleteService) this._createServices();
+    return this._resolvePrediction({ place_id: placeId });
+  },
+
+  /**
+   * Search for places and get the detail of the best match, without the control having to be added to a map or the DOM.
+   * @param {String} searchInput location name or other search input
+   * @param {Object} [opts] Settings overriding the options of the geocoder for this search, as in `search`.
+   * @returns {Promise<Object|null>} the [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result of the first prediction, or `null` if nothing matched
+   */
+  geocodeFirst: function (searchInput, opts) {
+    return this._searchPredictions(searchInput, extend(opts, { limit: 1 })).then(function (predictions) {
+      return predictions.length ? this._resolvePrediction(predictions[0]) : null;
+    }.bind(this));
+  },
+
+  /**
+   * Geocode a list of addresses, such as a spreadsheet column, without the control having to be added to a map or the DOM.
+   * Each address is searched with the options of the geocoder, and the detail of its first prediction is fetched.
+   *
+   * ```javascript
+   * geocoder.batchGeocode(['1 Trang Tien, Hoan Kiem', '36 Cat Linh, Dong Da'], {
+   *   concurrency: 2,
+   *   onProgress: function (progress) {
+   *     console.log(progress.done + '/' + progress.total);
+   *   }
+   * }).then(function (collection) {
+   *   console.log(JSON.stringify(collection));
+   * });
+   * ```
+   * @param {Array<String>} addresses
+   * @param {Object} [opts]
+   * @param {Number} [opts.concurrency=4] Maximum number of addresses geocoded at the same time.
+   * @param {Number} [opts.interval=0] Minimum time in milliseconds between starting two addresses, to stay under the rate limit of the API key.
+   * Requests failing with HTTP 429 are retried as set by `options.retries` and `options.retryDelay`.
+   * @param {Function} [opts.onProgress] Called after each address with an object holding the `done` and `total` counts and the `feature`.
+   * @param {Object} [opts.proximity=options.proximity] A geographical point given as an object with `latitude` and `longitude` properties.
+   * @param {Number} [opts.radius=options.radius] Distance by kilometers around `opts.proximity`.
+   * @returns {Promise<Object>} a GeoJSON FeatureCollection with a feature for each address, in the same order. The properties of a feature hold
+   * the `input` address, its `index` in the list and whether it `matched`. Matched features are the points of the places found, with their
+   * `place_id`, `name` and `formatted_address`, the `confidence` of the match, from `0` to `1`, and the number of `candidates` found.
+   * The others have no geometry, and an `error` with a `type` and a `message`: `empty`, `no_results`, or the type of the [GeocoderError](#geocodererror).
+   */
+  batchGeocode: function (addresses, opts) {
+    opts = extend({ concurrency: 4, interval: 0 }, opts);
+    var searchOpts = {};
+    ['proximity', 'radius'].forEach(function (key) {
+      if (opts[key] !== undefined) searchOpts[key] = opts[key];
+    });
+
+    var features = [];
+    var next = 0;
+    var done = 0;
+    var nextStart = 0;
+
+    var geocodeNext = function () {
+      if (next >= addresses.length) return Promise.resolve();
+      var index = next++;
+      // space out the starts, whatever the number of rows under way
+      var wait = Math.max(0, nextStart - Date.now());
+      nextStart = Date.now() + wait + opts.interval;
+
+      return new Promise(function (resolve) {
+        setTimeout(resolve, wait);
+      }).then(function () {
+        return this._geocodeAddress(addresses[index], index, searchOpts);
+      }.bind(this)).then(function (feature) {
+        features[index] = feature;
+        done++;
+        if (opts.onProgress) opts.onProgress({ done: done, total: addresses.length, feature: feature });
+        return geocodeNext();
+      });
+    }.bind(this);
+
+    var workers = [];
+    for (var i = 0; i < Math.min(Math.max(opts.concurrency, 1), addresses.length); i++) workers.push(geocodeNext());
+
+    return Promise.all(workers).then(function () {
+      return {
+        type: 'FeatureCollection',
+        features: features
+      };
+    });
+  },
+
+  /**
+   * Geocode an address of a batch into a GeoJSON feature
+   * @param {String} address
+   * @param {Number} index the position of the address in the batch
+   * @param {Object} searchOpts the settings of the search
+   * @returns {Promise<Object>} the feature, never rejected: failures are described by its `error` property
+   * @private
+   */
+  _geocodeAddress: function (address, index, searchOpts) {
+    var properties = { input: address, index: index, matched: false };
+    var unmatched = function (type, message) {
+      return {
+        type: 'Feature',
+        geometry: null,
+        properties: extend(properties, { error: { type: type, message: message } })
+      };
+    };
+
+    if (!String(address || '').trim()) return Promise.resolve(unmatched('empty', 'Empty address'));
+
+    var candidates = 0;
+    return this._searchPredictions(String(address), searchOpts).then(function (predictions) {
+      candidates = predictions.length;
+      return predictions.length ? this._resolvePrediction(predictions[0]) : null;
+    }.bind(this)).then(function (result) {
+      if (!result || !result.geometry) return unmatched('no_results', this._getMessages().noResults);
+      var feature = utils.toFeature(result);
+      feature.properties = extend(properties, { matched: true }, feature.properties, {
+        confidence: utils.matchConfidence(address, result.formatted_address || result.name),
+        candidates: candidates
+      });
+      return feature;
+    }.bind(this)).catch(function (error) {
+      error = GeocoderError.from(error);
+      return unmatched(error.type, error.message);
+    });
+  },
+
+  _renderError: function (error) {
+    var messages = extend(this._getMessages().errors, this.options.errorMessages);
+    var message = messages[error && error.type] || messages.unknown;
+    var errorMessage = "<div class='goong-js-geocoder--error'>" + message + "</div>";
 
     this._renderMessage(errorMessage);
+    this._announce(message);
   },
   _renderNoResults: function () {
-    var errorMessage = "<div class='goong-js-geocoder--error mapboxgl-gl-geocoder--no-results'>No results found</div>";
+    var message = this._getMessages().noResults;
+    var errorMessage = "<div class='goong-js-geocoder--error mapboxgl-gl-geocoder--no-results'>" + message + "</div>";
 
     this._renderMessage(errorMessage);
+    this._announce(message);
   },
   _renderMessage: function (msg) {
     this._typeahead.update([]);
@@ -526,7 +1988,44 @@ GoongGeocoder.prototype = {
    */
   _getPlaceholderText: function () {
     if (this.options.placeholder) return this.options.placeholder;
-    return 'Search';
+    return this._getMessages().placeholder;
+  },
+
+  /**
+   * Get the texts of the control in its language
+   * @returns {Object} the messages
+   * @private
+   */
+  _getMessages: function () {
+    return localization.getMessages(this.getLanguage(), this.options.messages);
+  },
+
+  /**
+   * Get the language of the control
+   * @returns {String} the language code
+   */
+  getLanguage: function () {
+    return this.options.language || localization.detectLanguage();
+  },
+
+  /**
+   * Set the language of the text of the control and of the results of the API
+   * @param {String} language a language code, `vi` or `en` out of the box, or one of the languages added with `options.messages`
+   * @returns {GoongGeocoder} this
+   */
+  setLanguage: function (language) {
+    this.options.language = language;
+    if (!this._inputEl) return this;
+
+    var messages = this._getMessages();
+    this.setPlaceholder(this.options.placeholder);
+    this._clearEl.setAttribute('aria-label', messages.clear);
+    if (this._geolocateEl) {
+      this._geolocateEl.setAttribute('aria-label', messages.geolocate);
+      this._geolocateEl.setAttribute('title', messages.geolocate);
+    }
+    if (this._categoriesEl) this._categoriesEl.setAttribute('aria-label', messages.nearby);
+    return this;
   },
 
   /**
@@ -571,12 +2070,16 @@ GoongGeocoder.prototype = {
 
   /**
    * Set the render function used in the results dropdown
-   * @param {Function} fn The function to use as a render function. This function accepts a single [Predictions](https://docs.goong.io/rest/guide#get-points-by-keyword) object as input and returns a string.
+   * @param {Function} fn The function to use as a render function. This function accepts a single [Predictions](https://docs.goong.io/rest/guide#get-points-by-keyword) object, the query and the distance of the place as input, and returns a string. See `options.render`.
    * @returns {GoongGeocoder} this
    */
   setRenderFunction: function (fn) {
     if (fn && typeof fn == "function") {
-      this._typeahead.render = fn;
+      var geocoder = this;
+      this._renderFunction = fn;
+      this._typeahead.render = function (item) {
+        return fn.call(this, item, geocoder.inputString, geocoder._describeDistance(item));
+      };
     }
 
     return this;
@@ -588,7 +2091,64 @@ GoongGeocoder.prototype = {
    * @returns {Function} the render function
    */
   getRenderFunction: function () {
-    return this._typeahead.render;
+    return this._renderFunction;
+  },
+
+  /**
+   * Get the recently selected places, most recent first. Requires `options.history`.
+   * @returns {Array<Object>} the recent places, as predictions carrying their [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result as `result`
+   */
+  getHistory: function () {
+    return this._history ? this._history.getRecent() : [];
+  },
+
+  /**
+   * Remove a place from the recent places
+   * @param {String} id the `place_id` or the description of the place
+   * @returns {GoongGeocoder} this
+   */
+  removeHistory: function (id) {
+    if (this._history) this._history.remove(id);
+    return this;
+  },
+
+  /**
+   * Remove every recent place. Favorites are kept.
+   * @returns {GoongGeocoder} this
+   */
+  clearHistory: function () {
+    if (this._history) this._history.clear();
+    return this;
+  },
+
+  /**
+   * Get the favorite places. Requires `options.history`.
+   * @returns {Array<Object>} the favorite places, as predictions carrying their [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result as `result`
+   */
+  getFavorites: function () {
+    return this._history ? this._history.getFavorites() : [];
+  },
+
+  /**
+   * Pin a place as favorite
+   * @param {Object} place a [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result, such as `event.result.result` of a `result` event, or an entry from `getHistory()`
+   * @returns {GoongGeocoder} this
+   */
+  addFavorite: function (place) {
+    if (!this._history) return this;
+    var prediction = place.result ? place : utils.placeToPrediction(place);
+    this._history.addFavorite(prediction, prediction.result);
+    return this;
+  },
+
+  /**
+   * Unpin a favorite place
+   * @param {String} id the `place_id` or the description of the place
+   * @returns {GoongGeocoder} this
+   */
+  removeFavorite: function (id) {
+    if (this._history) this._history.removeFavorite(id);
+    return this;
   },
 
   /**
@@ -619,7 +2179,7 @@ GoongGeocoder.prototype = {
 
   /**
    * Set the flyTo options
-   * @param {Boolean|Object} flyTo If false, animating the map to a selected result is disabled. If true, animating the map will use the default animation parameters
+   * @param {Boolean|Object} flyTo If false, animating the map to a selected result is disabled, and so is the selection of the results picked in the dropdown. If true, animating the map will use the default animation parameters
    */
   setFlyTo: function (flyTo) {
     this.options.flyTo = flyTo;
@@ -645,6 +2205,8 @@ GoongGeocoder.prototype = {
 
     this._inputEl.setAttribute('aria-label', this.placeholder);
 
+    if (this._typeahead) this._typeahead.list.element.setAttribute('aria-label', this.placeholder);
+
     return this;
   },
 
@@ -707,6 +2269,42 @@ GoongGeocoder.prototype = {
     return this;
   },
 
+  /**
+   * Get the bounding box results are restricted to
+   * @returns {Array<Number>} `[minLongitude, minLatitude, maxLongitude, maxLatitude]`
+   */
+  getBbox: function () {
+    return this.options.bbox;
+  },
+
+  /**
+   * Restrict results to a bounding box
+   * @param {Array<Number>} bbox `[minLongitude, minLatitude, maxLongitude, maxLatitude]`, or `null` to lift the restriction
+   * @returns {GoongGeocoder} this
+   */
+  setBbox: function (bbox) {
+    this.options.bbox = bbox;
+    return this;
+  },
+
+  /**
+   * Get the administrative area results are restricted to
+   * @returns {Object} the `province`, `district` and `commune` names
+   */
+  getAdminArea: function () {
+    return this.options.adminArea;
+  },
+
+  /**
+   * Restrict results to an administrative area
+   * @param {Object} area an object with any of the `province`, `district` and `commune` names, or `null` to lift the restriction
+   * @returns {GoongGeocoder} this
+   */
+  setAdminArea: function (area) {
+    this.options.adminArea = area;
+    return this;
+  },
+
   /**
    * Set the geocoding endpoint used by the plugin.
    * @param {Function} origin A function which accepts an HTTPS URL to specify the endpoint to query results from.
@@ -714,15 +2312,20 @@ GoongGeocoder.prototype = {
    */
   setOrigin: function (origin) {
     this.options.origin = origin;
-    this.autoCompleteService = goongAutocomplete(
-      GoongClient({
-        accessToken: this.options.accessToken,
-        origin: this.options.origin
-      })
-    );
+    this._createServices();
     return this;
   },
 
+  /**
+   * (Re)create the API services against the current access token and origin
+   * @private
+   */
+  _createServices: function () {
+    var client = transport.createClient(this.options);
+    this.autoCompleteService = transport.createService(goongAutocomplete, client);
+    this.geocodingService = transport.createService(goongGeocoding, client);
+  },
+
   /**
    * Get the geocoding endpoint the plugin is currently set to
    * @returns {Function} the endpoint URL
@@ -749,19 +2352,108 @@ GoongGeocoder.prototype = {
       color: '#469af7'
     };
     var markerOptions = extend({}, defaultMarkerOptions, this.options.marker);
+    if (this.options.draggableMarker) markerOptions.draggable = true;
     this.mapMarker = new this._goongjs.Marker(markerOptions);
     this.mapMarker.setLngLat([response.result.geometry.location.lng, response.result.geometry.location.lat]).addTo(this._map);
+    this._markerResult = response.result;
+
+    if (this.options.popup) {
+      this.mapMarker.setPopup(new this._goongjs.Popup({ offset: 25 }));
+      this._setPopupContent(response.result);
+    }
+    if (this.options.draggableMarker) {
+      this.mapMarker.on('dragend', this._onMarkerDragEnd);
+    }
     return this;
   },
 
+  /**
+   * Render a place detail result into the popup of the marker
+   * @param {Object} result the place detail result
+   * @private
+   */
+  _setPopupContent: function (result) {
+    var popup = this.mapMarker && this.mapMarker.getPopup();
+    if (!popup) return;
+    var render = typeof this.options.popup === 'function' ? this.options.popup : function (place) {
+      return '<div class="mapboxgl-ctrl-geocoder--popup"><div class="mapboxgl-ctrl-geocoder--popup-title">' + utils.escapeHtml(place.name || place.formatted_address) + '</div>' +
+        (place.name ? '<div class="mapboxgl-ctrl-geocoder--popup-address">' + utils.escapeHtml(place.formatted_address) + '</div>' : '') + '</div>';
+    };
+    popup.setHTML(render(result));
+  },
+
+  /**
+   * Reverse geocode the position the marker was dropped at, and emit the refined result
+   * @private
+   */
+  _onMarkerDragEnd: function () {
+    var marker = this.mapMarker;
+    var lngLat = marker.getLngLat();
+    var location = { lat: lngLat.lat, lng: lngLat.lng };
+    var previous = this._markerResult;
+    var query = lngLat.lat + ',' + lngLat.lng;
+
+    this._abortRequest();
+    this._loadingEl.style.display = 'block';
+    this._eventEmitter.emit('loading', {
+      query: query
+    });
+    this.inputString = query;
+
+    var stale = function () {
+      return query !== this.inputString || marker !== this.mapMarker;
+    }.bind(this);
+
+    return this._reverseGeocode({ latitude: lngLat.lat, longitude: lngLat.lng }, true).then(
+      function (response) {
+        if (stale()) return;
+        var nearest = response.body.predictions[0];
+        // keep the dropped position, describe it with the nearest address
+        var result = extend(nearest ? nearest.result : previous, {
+          geometry: extend((nearest ? nearest.result : previous).geometry, { location: location })
+        });
+        return this._transformResult({ result: result }).then(function (detail) {
+          return { nearest: nearest, detail: detail };
+        });
+      }.bind(this)).then(
+      function (dropped) {
+        if (!dropped || stale()) return;
+        this._loadingEl.style.display = 'none';
+        var result = dropped.detail.result;
+        var selected = extend(dropped.nearest || utils.placeToPrediction(previous), { result: result });
+
+        this._typeahead.selected = selected;
+        this._inputEl.value = this._typeahead.getItemValue(selected);
+        this._updateGeolocateButton();
+        this.lastSelected = JSON.stringify(selected);
+        this._markerResult = result;
+        this._setPopupContent(result);
+        if (this._urlState) this._urlState.write(this._inputEl.value, selected.place_id);
+
+        this._eventEmitter.emit('result', {
+          result: dropped.detail
+        });
+      }.bind(this)).catch(
+      function (error) {
+        error = GeocoderError.from(error);
+        if (error.type === GeocoderError.TYPES.ABORTED) return;
+        if (query !== this.inputString) return;
+        this._loadingEl.style.display = 'none';
+        this._eventEmitter.emit('error', { error: error });
+      }.bind(this)
+    );
+  },
+
   /**
    * Handle the removal of a result marker
    * @private
    */
   _removeMarker: function () {
     if (this.mapMarker) {
+      this.mapMarker.off('dragend', this._onMarkerDragEnd);
       this.mapMarker.remove();
       this.mapMarker = null;
+      this._markerResult = null;
     }
   },
 
@@ -773,7 +2465,9 @@ GoongGeocoder.prototype = {
    * - __loading__ `{ query } Emitted when the geocoder is looking up a query`
    * - __results__ `{ results } Fired when the geocoder returns a response`
    * - __result__ `{ result } Fired when input is set`
-   * - __error__ `{ error } Error as string`
+   * - __error__ `{ error } a [GeocoderError](#geocodererror)`
+   * - __geolocate__ `{ coords } Fired when the user's position is found with the "Use my location" button`
+   * - __nearby__ `{ category, anchor, predictions } Fired when a nearby search returns, with the point searched around and the predictions, nearest first`
    * @param {Function} fn function that's called when the event is emitted.
    * @returns {GoongGeocoder} this;
    */
@@ -796,4 +2490,13 @@ GoongGeocoder.prototype = {
     return this;
   }
 };
+GoongGeocoder.GeocoderError = GeocoderError;
+
 module.exports = GoongGeocoder;
+
+GoongGeocoder.fixtureTransport = transport.fixtureTransport;
+
+// required last: the directions control and the custom element are built on the geocoder exported above
+GoongGeocoder.Directions = require('./directions');
+
+GoongGeocoder.Element = require('./element');
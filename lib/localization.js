@@ -0,0 +1,145 @@
+'use strict';
+
+var extend = require('xtend');
+
+var GeocoderError = require('./errors');
+
+/**
+ * The text of the controls, by language.
+ *
+ * `errors` holds the message shown for each type of [GeocoderError](#geocodererror).
+ * `{count}` is replaced with the number of results, `{distance}` with a number formatted for the language.
+ * `compass` names the directions from north, clockwise.
+ * @private
+ */
+var MESSAGES = {
+  en: {
+    placeholder: 'Search',
+    clear: 'Clear',
+    geolocate: 'Use my location',
+    loading: 'Loading results',
+    oneResult: '1 result available',
+    results: '{count} results available',
+    noResults: 'No results found',
+    originPlaceholder: 'Choose a starting point',
+    destinationPlaceholder: 'Choose a destination',
+    stopPlaceholder: 'Add a stop',
+    swap: 'Swap origin and destination',
+    addStop: '+ Add stop',
+    removeStop: 'Remove stop',
+    noRoute: 'No route found',
+    nearby: 'Search nearby',
+    meters: '{distance} m',
+    kilometers: '{distance} km',
+    compass: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'],
+    errors: GeocoderError.MESSAGES
+  },
+  vi: {
+    placeholder: 'Tìm kiếm',
+    clear: 'Xóa',
+    geolocate: 'Dùng vị trí của tôi',
+    loading: 'Đang tải kết quả',
+    oneResult: 'Có 1 kết quả',
+    results: 'Có {count} kết quả',
+    noResults: 'Không tìm thấy kết quả',
+    originPlaceholder: 'Chọn điểm xuất phát',
+    destinationPlaceholder: 'Chọn điểm đến',
+    stopPlaceholder: 'Thêm điểm dừng',
+    swap: 'Đổi điểm xuất phát và điểm đến',
+    addStop: '+ Thêm điểm dừng',
+    removeStop: 'Xóa điểm dừng',
+    noRoute: 'Không tìm thấy đường đi',
+    nearby: 'Tìm xung quanh',
+    compass: ['B', 'ĐB', 'Đ', 'ĐN', 'N', 'TN', 'T', 'TB'],
+    errors: {
+      offline: 'Bạn đang ngoại tuyến. Tìm kiếm sẽ tiếp tục khi có kết nối trở lại',
+      network: 'Đã xảy ra lỗi khi kết nối tới máy chủ',
+      unauthorized: 'API key không hợp lệ hoặc không được phép sử dụng dịch vụ này',
+      quota_exceeded: 'Có quá nhiều yêu cầu. Vui lòng thử lại sau',
+      server: 'Máy chủ không thể hoàn tất tìm kiếm. Vui lòng thử lại sau',
+      request: 'Đã xảy ra lỗi khi kết nối tới máy chủ',
+      geolocation_denied: 'Quyền truy cập vị trí của bạn đã bị từ chối',
+      geolocation_unavailable: 'Không thể xác định vị trí của bạn',
+      geolocation_timeout: 'Xác định vị trí của bạn quá lâu. Vui lòng thử lại',
+      unknown: 'Đã xảy ra lỗi khi kết nối tới máy chủ'
+    }
+  }
+};
+
+/**
+ * Get the language of the browser, if it has a catalog
+ * @returns {String} `vi` or `en`, `en` by default
+ * @private
+ */
+function detectLanguage() {
+  var language = typeof navigator !== 'undefined' && (navigator.language || '').split('-')[0].toLowerCase();
+  return MESSAGES[language] ? language : 'en';
+}
+
+/**
+ * Get the catalog of a language, falling back to English for missing messages
+ * @param {String} language
+ * @param {Object} [overrides] catalogs by language, overriding or adding to the shipped ones
+ * @returns {Object} the messages
+ * @private
+ */
+function getMessages(language, overrides) {
+  var catalogs = [MESSAGES.en, MESSAGES[language], overrides && overrides[language]];
+  return catalogs.reduce(function (messages, catalog) {
+    if (!catalog) return messages;
+    return extend(messages, catalog, {
+      errors: extend(messages.errors, catalog.errors)
+    });
+  }, {});
+}
+
+/**
+ * Fill the `{name}` placeholders of a message
+ * @param {String} message
+ * @param {Object} values
+ * @returns {String}
+ * @private
+ */
+function format(message, values) {
+  return message.replace(/\{(\w+)\}/g, function (match, name) {
+    return values[name] !== undefined ? values[name] : match;
+  });
+}
+
+/**
+ * Describe a distance and a direction, e.g. `1.2 km NE`
+ * @param {Number} kilometers
+ * @param {Number|null} bearing the direction in degrees clockwise from north, left out if `null`
+ * @param {String} language the language to format the number for
+ * @param {Object} messages the catalog of the language
+ * @returns {String}
+ * @private
+ */
+function formatDistance(kilometers, bearing, language, messages) {
+  var text;
+  if (kilometers < 1) {
+    // to the nearest 10 meters, short distances are too imprecise for more
+    text = format(messages.meters, { distance: formatNumber(Math.max(10, Math.round(kilometers * 100) * 10), language, 0) });
+  } else {
+    text = format(messages.kilometers, { distance: formatNumber(kilometers, language, kilometers < 10 ? 1 : 0) });
+  }
+  if (bearing === null || bearing === undefined) return text;
+  return text + ' ' + messages.compass[Math.round(bearing / 45) % 8];
+}
+
+function formatNumber(value, language, digits) {
+  try {
+    return value.toLocaleString(language, { maximumFractionDigits: digits });
+  } catch (e) {
+    // an unknown language tag
+    return String(Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits));
+  }
+}
+
+module.exports = {
+  MESSAGES: MESSAGES,
+  detectLanguage: detectLanguage,
+  getMessages: getMessages,
+  format: format,
+  formatDistance: formatDistance
+};
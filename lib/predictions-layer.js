@@ -0,0 +1,136 @@
+'use strict';
+
+var nanoid = require('nanoid');
+
+/**
+ * Draws the current predictions as points on a map, one of them highlighted.
+ *
+ * @class PredictionsLayer
+ * @param {goongjs.Map} map the map to draw on
+ * @param {Object} [options]
+ * @param {String} [options.color=#469af7] The color of the points.
+ * @param {Function} [options.onSelect] Called with the index of a point clicked on the map.
+ * @param {Function} [options.onHover] Called with the index of a point hovered on the map.
+ * @private
+ */
+function PredictionsLayer(map, options) {
+  options = options || {};
+  this._map = map;
+  this._id = 'goong-geocoder-predictions-' + nanoid(6);
+  this._highlightId = this._id + '-highlight';
+  this._color = options.color || '#469af7';
+  this._onSelect = options.onSelect || function () {};
+  this._onHover = options.onHover || function () {};
+  this._onClick = this._onClick.bind(this);
+  this._onMouseMove = this._onMouseMove.bind(this);
+  this._onMouseLeave = this._onMouseLeave.bind(this);
+}
+
+PredictionsLayer.prototype = {
+  /**
+   * Draw the points, replacing the previous ones
+   * @param {Array<Object>} points objects with the `index` of the prediction, its `description` and its `location` (`lat` and `lng`)
+   */
+  setData: function (points) {
+    var data = {
+      type: 'FeatureCollection',
+      features: points.map(function (point) {
+        return {
+          type: 'Feature',
+          properties: {
+            index: point.index,
+            description: point.description
+          },
+          geometry: {
+            type: 'Point',
+            coordinates: [point.location.lng, point.location.lat]
+          }
+        };
+      })
+    };
+
+    var source = this._map.getSource(this._id);
+    if (source) {
+      source.setData(data);
+      return;
+    }
+
+    this._map.addSource(this._id, {
+      type: 'geojson',
+      data: data
+    });
+    this._map.addLayer({
+      id: this._id,
+      type: 'circle',
+      source: this._id,
+      paint: {
+        'circle-radius': 6,
+        'circle-color': this._color,
+        'circle-stroke-width': 2,
+        'circle-stroke-color': '#fff'
+      }
+    });
+    this._map.addLayer({
+      id: this._highlightId,
+      type: 'circle',
+      source: this._id,
+      filter: ['==', ['get', 'index'], -1],
+      paint: {
+        'circle-radius': 9,
+        'circle-color': this._color,
+        'circle-stroke-width': 3,
+        'circle-stroke-color': '#fff'
+      }
+    });
+    this._map.on('click', this._id, this._onClick);
+    this._map.on('mousemove', this._id, this._onMouseMove);
+    this._map.on('mouseleave', this._id, this._onMouseLeave);
+  },
+
+  /**
+   * Highlight a point
+   * @param {Number} index the index of the prediction to highlight, `-1` for none
+   */
+  highlight: function (index) {
+    if (!this._map.getLayer(this._highlightId)) return;
+    this._map.setFilter(this._highlightId, ['==', ['get', 'index'], index]);
+  },
+
+  /**
+   * @param {Object} point a point in pixels, such as the `point` of a map mouse event
+   * @returns {Boolean} whether a prediction is drawn at that point
+   */
+  contains: function (point) {
+    if (!this._map.getLayer(this._id)) return false;
+    return this._map.queryRenderedFeatures(point, { layers: [this._id] }).length > 0;
+  },
+
+  /**
+   * Remove the points and their layers from the map
+   */
+  remove: function () {
+    if (!this._map.getSource(this._id)) return;
+    this._map.off('click', this._id, this._onClick);
+    this._map.off('mousemove', this._id, this._onMouseMove);
+    this._map.off('mouseleave', this._id, this._onMouseLeave);
+    this._map.getCanvas().style.cursor = '';
+    this._map.removeLayer(this._highlightId);
+    this._map.removeLayer(this._id);
+    this._map.removeSource(this._id);
+  },
+
+  _onClick: function (e) {
+    if (e.features && e.features.length) this._onSelect(e.features[0].properties.index);
+  },
+
+  _onMouseMove: function (e) {
+    this._map.getCanvas().style.cursor = 'pointer';
+    if (e.features && e.features.length) this._onHover(e.features[0].properties.index);
+  },
+
+  _onMouseLeave: function () {
+    this._map.getCanvas().style.cursor = '';
+  }
+};
+
+module.exports = PredictionsLayer;
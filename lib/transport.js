@@ -0,0 +1,246 @@
+'use strict';
+
+var extend = require('xtend');
+
+var GoongClient = require('@goongmaps/goong-sdk');
+
+var GAPIRequest = require('@goongmaps/goong-sdk/lib/classes/gapi-request');
+
+var GAPIResponse = require('@goongmaps/goong-sdk/lib/classes/gapi-response');
+
+var GAPIError = require('@goongmaps/goong-sdk/lib/classes/gapi-error');
+
+var constants = require('@goongmaps/goong-sdk/lib/constants');
+
+/**
+ * An API client sending its requests with a fetch-like function, through optional interceptors.
+ *
+ * @class TransportClient
+ * @param {Object} options
+ * @param {String} [options.accessToken] The API key, appended to each request if given.
+ * @param {String} [options.origin] The API origin.
+ * @param {Function} [options.transport=fetch] A function with the signature of [fetch](https://developer.mozilla.org/en-US/docs/Web/API/fetch).
+ * @param {Object} [options.interceptors] `request` and `response` functions, see the `interceptors` option of the geocoder.
+ * @private
+ */
+function TransportClient(options) {
+  this.accessToken = options.accessToken;
+  this.origin = options.origin || constants.API_ORIGIN;
+  this.transport = options.transport || defaultTransport;
+  this.interceptors = options.interceptors || {};
+  this._underway = {};
+}
+
+TransportClient.prototype = {
+  createRequest: function (requestOptions) {
+    return new GAPIRequest(this, requestOptions);
+  },
+
+  sendRequest: function (request) {
+    var client = this;
+    var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    var intercept = function (name, value) {
+      return client.interceptors[name] ? client.interceptors[name](value) || value : value;
+    };
+
+    return new Promise(function (resolve, reject) {
+      // aborting rejects at once, even if the transport ignores the signal
+      client._underway[request.id] = function () {
+        if (controller) controller.abort();
+        reject(new GAPIError({ request: request, type: constants.ERROR_REQUEST_ABORTED }));
+      };
+
+      Promise.resolve(intercept('request', {
+        url: request.url(client.accessToken),
+        method: request.method,
+        headers: extend(request.headers),
+        body: request.body ? JSON.stringify(request.body) : undefined
+      })).then(function (init) {
+        return client.transport(init.url, {
+          method: init.method,
+          headers: init.headers,
+          body: init.body,
+          signal: controller ? controller.signal : undefined
+        });
+      }).then(readResponse).then(function (response) {
+        return intercept('response', response);
+      }).then(
+        function (response) {
+          delete client._underway[request.id];
+          if (response.statusCode < 200 || response.statusCode >= 400) {
+            var error = new GAPIError({
+              request: request,
+              body: response.body,
+              statusCode: response.statusCode
+            });
+            // lets the geocoder honour `Retry-After`
+            error.headers = response.headers;
+            reject(error);
+            return;
+          }
+          resolve(new GAPIResponse(request, response));
+        },
+        function (error) {
+          delete client._underway[request.id];
+          // the `error` type of XMLHttpRequest network failures
+          reject(new GAPIError({ request: request, type: 'error', message: error && error.message }));
+        }
+      );
+    });
+  },
+
+  abortRequest: function (request) {
+    var abort = this._underway[request.id];
+    if (!abort) return;
+    delete this._underway[request.id];
+    abort();
+  }
+};
+
+function defaultTransport(url, init) {
+  var root = globalScope();
+  if (typeof root.fetch !== 'function') return Promise.reject(new Error('fetch is not available, pass options.transport'));
+  return root.fetch(url, init);
+}
+
+function globalScope() {
+  if (typeof self !== 'undefined') return self;
+  return typeof window !== 'undefined' ? window : global;
+}
+
+/**
+ * Read a fetch `Response`, or a plain object with `status`, `headers` and `body`, into the data of a GAPIResponse
+ * @private
+ */
+function readResponse(response) {
+  var headers = {};
+  if (response.headers && typeof response.headers.forEach === 'function') {
+    response.headers.forEach(function (value, name) {
+      headers[name.toLowerCase()] = value;
+    });
+  } else {
+    Object.keys(response.headers || {}).forEach(function (name) {
+      headers[name.toLowerCase()] = response.headers[name];
+    });
+  }
+
+  var body = typeof response.text === 'function' ? response.text() : response.body;
+  return Promise.resolve(body).then(function (text) {
+    return {
+      statusCode: response.status,
+      headers: headers,
+      body: typeof text === 'string' ? text : JSON.stringify(text)
+    };
+  });
+}
+
+/**
+ * Build the API client described by the options of the geocoder
+ * @param {Object} options the `client`, `transport`, `interceptors`, `accessToken` and `origin` options
+ * @returns {Object} the client to create the services with
+ * @private
+ */
+function createClient(options) {
+  if (options.client) return options.client;
+  if (options.transport || options.interceptors) return new TransportClient(options);
+  // the browser client of the SDK needs `window.XMLHttpRequest`, which web workers lack
+  if (typeof window === 'undefined' && typeof self !== 'undefined' && typeof self.fetch === 'function') {
+    return new TransportClient(options);
+  }
+  return GoongClient({
+    accessToken: options.accessToken,
+    origin: options.origin
+  });
+}
+
+/**
+ * Create an SDK service sending its requests with a client
+ * @param {Function} factory an SDK service factory, such as `@goongmaps/goong-sdk/services/autocomplete`
+ * @param {Object} client the API client
+ * @returns {Object} the service
+ * @private
+ */
+function createService(factory, client) {
+  // the factories build a client of their own out of the configuration they are given,
+  // and refuse one without an API key: hand the service the actual client afterwards
+  var service = factory({
+    accessToken: client.accessToken || 'none',
+    origin: client.origin
+  });
+  service.client = client;
+  return service;
+}
+
+/**
+ * Create a transport answering requests with fixtures instead of the network, to run the controls offline, e.g. in tests.
+ *
+ * ```javascript
+ * var geocoder = new GoongGeocoder({
+ *   transport: GoongGeocoder.fixtureTransport({
+ *     '/Place/AutoComplete': { status: 'OK', predictions: [] },
+ *     '/Place/Detail': function (query) {
+ *       return { status: 'OK', result: places[query.place_id] };
+ *     }
+ *   })
+ * });
+ * ```
+ * @param {Object} fixtures Response bodies by API path, matched without case. A function is called with the query parameters and the URL of
+ * the request, and returns the body or a Promise of it. It can throw an object with a `status`, and optionally a `body` and `headers`,
+ * to answer with an HTTP error. Requests to other paths are answered with a 404.
+ * @param {Object} [options]
+ * @param {Number} [options.delay=0] Time in milliseconds before answering.
+ * @returns {Function} a fetch-like function, to pass as the `transport` option
+ */
+function fixtureTransport(fixtures, options) {
+  var delay = (options && options.delay) || 0;
+  var paths = {};
+  Object.keys(fixtures).forEach(function (path) {
+    paths[path.toLowerCase()] = fixtures[path];
+  });
+
+  return function (url, init) {
+    var parts = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?');
+    var query = {};
+    (parts[1] || '').split('&').forEach(function (pair) {
+      if (!pair) return;
+      // `true` parameters are sent as a bare name
+      var index = pair.indexOf('=');
+      if (index === -1) query[decodeURIComponent(pair)] = 'true';
+      else query[decodeURIComponent(pair.slice(0, index))] = decodeURIComponent(pair.slice(index + 1));
+    });
+
+    return new Promise(function (resolve, reject) {
+      var timer = setTimeout(function () {
+        var fixture = paths[parts[0].toLowerCase()];
+        if (fixture === undefined) {
+          resolve({ status: 404, body: { message: 'No fixture for ' + parts[0] } });
+          return;
+        }
+        Promise.resolve().then(function () {
+          return typeof fixture === 'function' ? fixture(query, url) : fixture;
+        }).then(function (body) {
+          resolve({ status: 200, body: body });
+        }, function (error) {
+          if (error && error.status) {
+            resolve({ status: error.status, headers: error.headers, body: error.body || {} });
+          } else {
+            reject(error);
+          }
+        });
+      }, delay);
+
+      if (init && init.signal) {
+        init.signal.addEventListener('abort', function () {
+          clearTimeout(timer);
+        });
+      }
+    });
+  };
+}
+
+module.exports = {
+  TransportClient: TransportClient,
+  createClient: createClient,
+  createService: createService,
+  fixtureTransport: fixtureTransport
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * The query and the selected place of the geocoder, kept in the URL of the page so that links to it restore them.
+ *
+ * The parameters are written with `history.replaceState`, leaving the other parameters of the URL as they are
+ * and adding no entry to the browser history.
+ *
+ * @class UrlState
+ * @param {Object} [options]
+ * @param {String} [options.mode=hash] `hash` to keep the parameters in the fragment of the URL, `search` to keep them in its query string.
+ * @param {String} [options.queryParam=q] The name of the parameter holding the query.
+ * @param {String} [options.placeParam=place] The name of the parameter holding the `place_id` of the selected place.
+ * @private
+ */
+function UrlState(options) {
+  options = options || {};
+  this.mode = options.mode === 'search' ? 'search' : 'hash';
+  this.queryParam = options.queryParam || 'q';
+  this.placeParam = options.placeParam || 'place';
+}
+
+UrlState.prototype = {
+  /**
+   * @returns {Object} the `query` and the `placeId` found in the URL, `null` when missing
+   */
+  read: function () {
+    var params = this._params();
+    if (!params) return { query: null, placeId: null };
+    return {
+      query: params.get(this.queryParam),
+      placeId: params.get(this.placeParam)
+    };
+  },
+
+  /**
+   * Store the query and the selected place in the URL
+   * @param {String} query
+   * @param {String} [placeId]
+   */
+  write: function (query, placeId) {
+    var params = this._params();
+    if (!params) return;
+    if (query) params.set(this.queryParam, query);
+    else params.delete(this.queryParam);
+    if (placeId) params.set(this.placeParam, placeId);
+    else params.delete(this.placeParam);
+    this._replace(params);
+  },
+
+  /**
+   * Remove the query and the selected place from the URL
+   */
+  clear: function () {
+    this.write(null, null);
+  },
+
+  _params: function () {
+    if (typeof window === 'undefined' || typeof URLSearchParams === 'undefined') return null;
+    return new URLSearchParams(window.location[this.mode].slice(1));
+  },
+
+  _replace: function (params) {
+    var location = window.location;
+    var value = params.toString();
+    var prefix = this.mode === 'hash' ? '#' : '?';
+    var url = location.pathname +
+      (this.mode === 'search' ? (value ? prefix + value : '') : location.search) +
+      (this.mode === 'hash' ? (value ? prefix + value : '') : location.hash);
+    if (url === location.pathname + location.search + location.hash) return;
+    window.history.replaceState(window.history.state, '', url);
+  }
+};
+
+module.exports = UrlState;
@@ -0,0 +1,413 @@
+'use strict';
+
+var extend = require('xtend');
+
+var COORDINATES_REGEXP = /^\s*([-+]?\d+(?:\.\d+)?)(?:\s*(,)\s*|\s+)([-+]?\d+(?:\.\d+)?)\s*$/;
+
+/**
+ * Parse a string of coordinates such as `21.028,105.834` into a point.
+ *
+ * Both `latitude,longitude` and `longitude,latitude` orders are accepted: if the
+ * first number cannot be a latitude, the pair is read as `longitude,latitude`.
+ * The numbers can also be separated by spaces, as in `21.028 105.834`, as long as each one has
+ * a decimal point or a sign: `10 20` is more likely a house number and a street than a position.
+ *
+ * @param {String} value the raw input
+ * @returns {Object|null} an object with `latitude` and `longitude` properties, or `null` if `value` is not a coordinate pair
+ * @private
+ */
+function parseCoordinates(value) {
+  var match = COORDINATES_REGEXP.exec(value || '');
+  if (!match) return null;
+  if (!match[2] && !(/[.+-]/.test(match[1]) && /[.+-]/.test(match[3]))) return null;
+
+  var first = parseFloat(match[1]);
+  var second = parseFloat(match[3]);
+  var latitude = first;
+  var longitude = second;
+
+  if (Math.abs(first) > 90 && Math.abs(second) <= 90) {
+    latitude = second;
+    longitude = first;
+  }
+
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  return {
+    latitude: latitude,
+    longitude: longitude
+  };
+}
+
+/**
+ * Turn a place detail or geocode result into a prediction carrying it as `result`
+ * @param {Object} result a [Place Detail](https://docs.goong.io/rest/place/#get-place-detail-by-id) result
+ * @returns {Object} the prediction
+ * @private
+ */
+function placeToPrediction(result) {
+  return {
+    description: result.formatted_address,
+    place_id: result.place_id,
+    structured_formatting: {
+      main_text: result.name || result.formatted_address,
+      secondary_text: result.address || ''
+    },
+    result: result
+  };
+}
+
+/**
+ * Turn an item returned by `localGeocoder` or `externalGeocoder` into a prediction
+ * the dropdown can render and the geocoder can select without a place detail request.
+ *
+ * @param {Object} item an object with a `description` and a `geometry.location`
+ * @returns {Object} the prediction, flagged as `local` and carrying its place detail as `result`
+ * @private
+ */
+function toLocalPrediction(item) {
+  return extend(item, {
+    structured_formatting: item.structured_formatting || {
+      main_text: item.name || item.description,
+      secondary_text: item.formatted_address || ''
+    },
+    result: item.result || extend({ formatted_address: item.description }, item),
+    local: true
+  });
+}
+
+/**
+ * Describe a prediction, or a place detail result, as the GeoJSON feature returned by `search` and `batchGeocode`
+ * @param {Object} place the prediction, carrying its place detail as `result` when known, or the place detail itself
+ * @returns {Object} a feature with the point of the place, or no geometry if its location is unknown, and the `place_id`,
+ * `name` and `formatted_address` of the place, along with its `distance` and `bearing` when measured
+ * @private
+ */
+function toFeature(place) {
+  var result = place.result || place;
+  var location = result.geometry && result.geometry.location;
+  var properties = {
+    place_id: result.place_id || place.place_id,
+    name: result.name || (place.structured_formatting && place.structured_formatting.main_text) || place.description,
+    formatted_address: result.formatted_address || place.description
+  };
+  if (typeof place.distance === 'number') properties.distance = place.distance;
+  if (typeof place.bearing === 'number') properties.bearing = place.bearing;
+  return {
+    type: 'Feature',
+    geometry: location ? { type: 'Point', coordinates: [location.lng, location.lat] } : null,
+    properties: properties
+  };
+}
+
+/**
+ * Drop the predictions pointing to a place already listed, by `place_id` or by description
+ * @param {Array<Object>} predictions
+ * @returns {Array<Object>} the predictions, first occurrence kept
+ * @private
+ */
+function dedupePredictions(predictions) {
+  var seen = {};
+  return predictions.filter(function (prediction) {
+    var keys = ['description:' + String(prediction.description).trim().toLowerCase()];
+    if (prediction.place_id) keys.push('place_id:' + prediction.place_id);
+    var duplicate = keys.some(function (key) {
+      return seen[key];
+    });
+    keys.forEach(function (key) {
+      seen[key] = true;
+    });
+    return !duplicate;
+  });
+}
+
+/**
+ * Fold a string for loose comparisons: lowercase, without Vietnamese diacritics
+ * @param {String} value
+ * @returns {String}
+ * @private
+ */
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .trim();
+}
+
+var HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a string to be inserted into HTML
+ * @param {String} value
+ * @returns {String}
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, function (character) {
+    return HTML_ESCAPES[character];
+  });
+}
+
+/**
+ * Find the parts of a text matching the words of a query, without case and diacritics
+ * @param {String} text
+ * @param {String} query
+ * @returns {Array<Object>} the `offset` and `length` of each match
+ * @private
+ */
+function findMatches(text, query) {
+  // fold the text character by character, to map the folded offsets back to the text
+  var folded = '';
+  var positions = [];
+  for (var i = 0; i < text.length; i++) {
+    var character = normalizeText(text[i]) || (/\s/.test(text[i]) ? ' ' : '');
+    folded += character;
+    for (var j = 0; j < character.length; j++) positions.push(i);
+  }
+  positions.push(text.length);
+
+  var matches = [];
+  normalizeText(query).split(/\s+/).forEach(function (word) {
+    if (!word) return;
+    var index = folded.indexOf(word);
+    while (index !== -1) {
+      var start = positions[index];
+      var end = positions[index + word.length - 1] + 1;
+      matches.push({ offset: start, length: end - start });
+      index = folded.indexOf(word, index + word.length);
+    }
+  });
+  return matches;
+}
+
+/**
+ * Render a text as HTML, its matched parts wrapped in `<mark>`
+ * @param {String} text
+ * @param {String} query the query the text was found for
+ * @param {Array<Object>} [matches] the `offset` and `length` of the matched parts, such as the `matched_substrings` of Goong predictions.
+ * They are found with `query` if not given.
+ * @returns {String} the escaped HTML
+ * @private
+ */
+function highlight(text, query, matches) {
+  text = String(text === undefined || text === null ? '' : text);
+  if (!matches || !matches.length) matches = query ? findMatches(text, query) : [];
+
+  var marked = [];
+  matches.forEach(function (match) {
+    for (var i = match.offset; i < Math.min(match.offset + match.length, text.length); i++) marked[i] = true;
+  });
+
+  var html = '';
+  var open = false;
+  for (var i = 0; i < text.length; i++) {
+    if (marked[i] && !open) html += '<mark class="mapboxgl-ctrl-geocoder--match">';
+    if (!marked[i] && open) html += '</mark>';
+    open = !!marked[i];
+    html += escapeHtml(text[i]);
+  }
+  return open ? html + '</mark>' : html;
+}
+
+/**
+ * @param {Object} location a point with `lat` and `lng` properties
+ * @param {Array<Number>} bbox `[minLongitude, minLatitude, maxLongitude, maxLatitude]`
+ * @returns {Boolean} whether the point lies within the box
+ * @private
+ */
+function inBounds(location, bbox) {
+  return location.lng >= bbox[0] && location.lat >= bbox[1] &&
+    location.lng <= bbox[2] && location.lat <= bbox[3];
+}
+
+/**
+ * Get the smallest circle around a bounding box, to bias a search towards it
+ * @param {Array<Number>} bbox `[minLongitude, minLatitude, maxLongitude, maxLatitude]`
+ * @returns {Object} the `latitude` and `longitude` of the center, and the `radius` in kilometers
+ * @private
+ */
+function boundsToCircle(bbox) {
+  var latitude = (bbox[1] + bbox[3]) / 2;
+  var longitude = (bbox[0] + bbox[2]) / 2;
+  var toRadians = Math.PI / 180;
+  // equirectangular approximation, precise enough at the scale of a city or a province
+  var x = (bbox[2] - longitude) * toRadians * Math.cos(latitude * toRadians);
+  var y = (bbox[3] - latitude) * toRadians;
+  return {
+    latitude: latitude,
+    longitude: longitude,
+    radius: Math.max(1, Math.ceil(Math.sqrt(x * x + y * y) * 6371))
+  };
+}
+
+/**
+ * Get the great-circle distance between two points
+ * @param {Object} from a point with `lat` and `lng` properties
+ * @param {Object} to a point with `lat` and `lng` properties
+ * @returns {Number} the distance in kilometers
+ * @private
+ */
+function distance(from, to) {
+  var toRadians = Math.PI / 180;
+  var dLat = (to.lat - from.lat) * toRadians;
+  var dLng = (to.lng - from.lng) * toRadians;
+  var a = Math.pow(Math.sin(dLat / 2), 2) +
+    Math.cos(from.lat * toRadians) * Math.cos(to.lat * toRadians) * Math.pow(Math.sin(dLng / 2), 2);
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Get the initial bearing from a point to another
+ * @param {Object} from a point with `lat` and `lng` properties
+ * @param {Object} to a point with `lat` and `lng` properties
+ * @returns {Number} the bearing in degrees clockwise from north, from `0` to `360`
+ * @private
+ */
+function bearing(from, to) {
+  var toRadians = Math.PI / 180;
+  var lat1 = from.lat * toRadians;
+  var lat2 = to.lat * toRadians;
+  var dLng = (to.lng - from.lng) * toRadians;
+  var y = Math.sin(dLng) * Math.cos(lat2);
+  var x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (Math.atan2(y, x) / toRadians + 360) % 360;
+}
+
+// prefixes naming the kind of an administrative unit, longest first
+var ADMIN_PREFIXES = /^(?:(thanh pho|thi tran|thi xa|tinh|quan|huyen|phuong|xa|tp)\s+|(tp|q|p)\.\s*)/;
+
+// the levels of `adminArea` each kind of unit can be: a city is a province or a district
+var ADMIN_LEVELS = {
+  'tinh': ['province'],
+  'thanh pho': ['province', 'district'],
+  'tp': ['province', 'district'],
+  'quan': ['district'],
+  'q': ['district'],
+  'huyen': ['district'],
+  'thi xa': ['district'],
+  'phuong': ['commune'],
+  'p': ['commune'],
+  'xa': ['commune'],
+  'thi tran': ['commune']
+};
+
+/**
+ * Split the name of an administrative unit into its kind and its name: `Quận 1` and `Q.1` give
+ * the name `1` of a district, `Hà Nội` gives the name `ha noi` of any level
+ * @param {String} name
+ * @returns {Object} the `name`, and the `levels` it can be, or `null` if the name has no prefix
+ * @private
+ */
+function adminUnit(name) {
+  var text = normalizeText(name).replace(/\s+/g, ' ');
+  var prefix = ADMIN_PREFIXES.exec(text);
+  return {
+    // `Quận 01` is `Quận 1`
+    name: text.slice(prefix ? prefix[0].length : 0).replace(/^0+(?=\d)/, ''),
+    levels: prefix ? ADMIN_LEVELS[prefix[1] || prefix[2]] : null
+  };
+}
+
+/**
+ * Check a prediction against an administrative area, with the `compound` address of
+ * Goong results when present, or else with the parts of its description. Units are compared
+ * whole, so that `Quận 1` does not match `Quận 10`, and a part of the description naming its
+ * kind only matches that level, so that `Phường 1` is not the district `Quận 1`
+ * @param {Object} prediction
+ * @param {Object} area the `province`, `district` and `commune` to match, any of them may be omitted
+ * @returns {Boolean}
+ * @private
+ */
+function matchesArea(prediction, area) {
+  var compound = prediction.compound || (prediction.result && prediction.result.compound) || {};
+  var parts = String(prediction.description || (prediction.result && prediction.result.formatted_address) || '')
+    .split(',')
+    .map(adminUnit);
+  return ['province', 'district', 'commune'].every(function (level) {
+    var expected = adminUnit(level === 'commune' ? area.commune || area.ward : area[level]).name;
+    if (!expected) return true;
+    var actual = adminUnit(compound[level]).name;
+    if (actual) return actual === expected;
+    return parts.some(function (part) {
+      return part.name === expected && (!part.levels || part.levels.indexOf(level) !== -1);
+    });
+  });
+}
+
+/**
+ * Rate how well a text matches a query, as the share of the query words found in it, without case and diacritics
+ * @param {String} query
+ * @param {String} text
+ * @returns {Number} from `0` to `1`
+ * @private
+ */
+function matchConfidence(query, text) {
+  var words = normalizeText(query).split(/[\s,.;/-]+/).filter(Boolean);
+  if (!words.length) return 0;
+  var textWords = normalizeText(text).split(/[\s,.;/-]+/);
+  var found = words.filter(function (word) {
+    return textWords.indexOf(word) !== -1;
+  });
+  return Math.round(found.length / words.length * 100) / 100;
+}
+
+/**
+ * Decode an [encoded polyline](https://developers.google.com/maps/documentation/utilities/polylinealgorithm),
+ * such as the `overview_polyline` of a Goong Directions route
+ * @param {String} encoded
+ * @returns {Array<Array<Number>>} the `[longitude, latitude]` positions of the line
+ * @private
+ */
+function decodePolyline(encoded) {
+  var positions = [];
+  var index = 0;
+  var lat = 0;
+  var lng = 0;
+
+  while (index < encoded.length) {
+    var deltas = [];
+    for (var i = 0; i < 2; i++) {
+      var result = 0;
+      var shift = 0;
+      var byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      deltas.push(result & 1 ? ~(result >> 1) : result >> 1);
+    }
+    lat += deltas[0];
+    lng += deltas[1];
+    positions.push([lng / 1e5, lat / 1e5]);
+  }
+
+  return positions;
+}
+
+module.exports = {
+  parseCoordinates: parseCoordinates,
+  placeToPrediction: placeToPrediction,
+  toLocalPrediction: toLocalPrediction,
+  toFeature: toFeature,
+  dedupePredictions: dedupePredictions,
+  normalizeText: normalizeText,
+  escapeHtml: escapeHtml,
+  highlight: highlight,
+  inBounds: inBounds,
+  boundsToCircle: boundsToCircle,
+  distance: distance,
+  bearing: bearing,
+  matchesArea: matchesArea,
+  matchConfidence: matchConfidence,
+  decodePolyline: decodePolyline
+};
@@ -0,0 +1,403 @@
+'use strict';
+
+// Shared by the tests: a document to add the control to, a fake map to add it on,
+// and a fake Goong API answering with the places below.
+
+var JSDOM = require('jsdom').JSDOM;
+var extend = require('xtend');
+
+var dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', {
+  url: 'https://example.com/map',
+  pretendToBeVisual: true
+});
+
+// the control and `suggestions` look the browser globals up as they are loaded
+global.window = dom.window;
+['document', 'navigator', 'HTMLElement', 'Event', 'KeyboardEvent', 'CustomEvent'].forEach(function (name) {
+  Object.defineProperty(global, name, { value: dom.window[name], configurable: true, writable: true });
+});
+
+// a Geolocation API answered by the tests: each position request is kept until `success` or `failure` is called
+var geolocation = {
+  requests: [],
+  getCurrentPosition: function (success, failure, options) {
+    geolocation.requests.push({ success: success, failure: failure, options: options });
+  }
+};
+Object.defineProperty(navigator, 'geolocation', { value: geolocation, configurable: true });
+
+var GoongGeocoder = require('../lib/index');
+
+var PLACES = {
+  trangtien: {
+    place_id: 'trangtien',
+    name: 'Tràng Tiền',
+    formatted_address: '1 Tràng Tiền, Hoàn Kiếm, Hà Nội',
+    geometry: { location: { lat: 21.0245, lng: 105.8566 } }
+  },
+  catlinh: {
+    place_id: 'catlinh',
+    name: 'Cát Linh',
+    formatted_address: '36 Cát Linh, Đống Đa, Hà Nội',
+    geometry: { location: { lat: 21.0288, lng: 105.8297 } }
+  }
+};
+
+function prediction(id) {
+  return {
+    description: PLACES[id].formatted_address,
+    place_id: id,
+    structured_formatting: { main_text: PLACES[id].name, secondary_text: PLACES[id].formatted_address }
+  };
+}
+
+/**
+ * A Storage keeping its items in memory
+ */
+function memoryStorage() {
+  var items = {};
+  return {
+    getItem: function (key) {
+      return key in items ? items[key] : null;
+    },
+    setItem: function (key, value) {
+      items[key] = String(value);
+    },
+    removeItem: function (key) {
+      delete items[key];
+    }
+  };
+}
+
+/**
+ * The responses of the fake API by path. Functions are called with the query parameters of the request
+ * and return the body, or a Promise of it, or throw an object with the `status` of an HTTP error.
+ * @param {Array} [log] receives the `path` and the `query` of each request
+ */
+function fixtures(log) {
+  var logged = function (path, handler) {
+    return function (query) {
+      if (log) log.push({ path: path, query: query });
+      return handler(query);
+    };
+  };
+  return {
+    '/place/autocomplete': logged('/place/autocomplete', function (query) {
+      if (/tien/i.test(query.input)) return { status: 'OK', predictions: [prediction('trangtien'), prediction('catlinh')] };
+      if (/linh/i.test(query.input)) return { status: 'OK', predictions: [prediction('catlinh')] };
+      return { status: 'OK', predictions: [] };
+    }),
+    '/place/detail': logged('/place/detail', function (query) {
+      return { status: 'OK', result: PLACES[query.placeid] };
+    }),
+    '/direction': logged('/direction', function () {
+      return {
+        routes: [{
+          legs: [{ distance: { value: 2500 }, duration: { value: 420 } }],
+          // the example of the polyline algorithm documentation
+          overview_polyline: { points: '_p~iF~ps|U_ulLnnqC_mqNvxq`@' }
+        }]
+      };
+    }),
+    '/geocode': logged('/geocode', function (query) {
+      var location = query.latlng.split(',').map(Number);
+      return {
+        status: 'OK',
+        results: [extend(PLACES.trangtien, { geometry: { location: { lat: location[0], lng: location[1] } } }), PLACES.catlinh]
+      };
+    })
+  };
+}
+
+/**
+ * A response of the fake API failing a number of times before answering
+ * @param {Number} failures the number of requests failing
+ * @param {Object} error the HTTP error thrown, see `fixtures`
+ * @param {Object} body the body answered once the failures are over
+ * @returns {Function} the response, with the times of its requests as `calls`
+ */
+function failing(failures, error, body) {
+  var calls = [];
+  var answer = function () {
+    calls.push(Date.now());
+    if (calls.length <= failures) throw error;
+    return body;
+  };
+  answer.calls = calls;
+  return answer;
+}
+
+/**
+ * A transport answering with the fake API
+ * @param {Array} [log] receives the requests, see `fixtures`
+ * @param {Object} [answers] responses by path, replacing those of `fixtures`
+ * @returns {Function} the `transport` option of the controls
+ */
+function createTransport(log, answers) {
+  return GoongGeocoder.fixtureTransport(extend(fixtures(log), answers));
+}
+
+/**
+ * Create a geocoder sending its requests to the fake API
+ * @param {Object} [options] the options of the geocoder
+ * @param {Array} [log] receives the requests, see `fixtures`
+ * @param {Object} [answers] responses by path, replacing those of `fixtures`
+ */
+function createGeocoder(options, log, answers) {
+  return new GoongGeocoder(extend({ accessToken: 'test', transport: createTransport(log, answers) }, options));
+}
+
+/**
+ * Create a geocoder as `createGeocoder` does, and add it to a new element of the document
+ */
+function addGeocoder(options, log, answers) {
+  var geocoder = createGeocoder(options, log, answers);
+  var parent = document.createElement('div');
+  parent.id = 'geocoder-' + Math.random().toString(36).slice(2);
+  document.body.appendChild(parent);
+  geocoder.addTo('#' + parent.id);
+  geocoder.input = parent.querySelector('input');
+  return geocoder;
+}
+
+/**
+ * Type a value in the input of a geocoder added by `addGeocoder`
+ * @param {GoongGeocoder} geocoder
+ * @param {String} value the whole value of the input
+ */
+function type(geocoder, value) {
+  geocoder.input.value = value;
+  geocoder.input.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Pick an item of the dropdown of a geocoder added by `addGeocoder` with the keyboard
+ * @param {GoongGeocoder} geocoder
+ * @param {Number} [index=0] the position of the item
+ */
+function select(geocoder, index) {
+  var press = function (keyCode) {
+    geocoder.input.dispatchEvent(new KeyboardEvent('keydown', { keyCode: keyCode }));
+  };
+  for (var i = 0; i < (index || 0); i++) press(40);
+  press(13);
+}
+
+/**
+ * A fake goongjs map, recording the camera moves, sources, layers and filters
+ */
+function createMap() {
+  var listeners = {};
+  var key = function (type, layer) {
+    return layer ? type + ':' + layer : type;
+  };
+  var map = {
+    flights: [],
+    sources: {},
+    layers: {},
+    filters: {},
+    _controlContainer: document.createElement('div'),
+    _canvas: document.createElement('canvas'),
+    addControl: function (control) {
+      map._controlContainer.appendChild(control.onAdd(map));
+      return map;
+    },
+    removeControl: function (control) {
+      control.onRemove(map);
+      return map;
+    },
+    on: function (type, layer, listener) {
+      if (typeof layer === 'function') return map.on(type, null, layer);
+      (listeners[key(type, layer)] = listeners[key(type, layer)] || []).push(listener);
+      return map;
+    },
+    off: function (type, layer, listener) {
+      if (typeof layer === 'function') return map.off(type, null, layer);
+      listeners[key(type, layer)] = (listeners[key(type, layer)] || []).filter(function (other) {
+        return other !== listener;
+      });
+      return map;
+    },
+    /**
+     * Emit an event of the map, or of one of its layers
+     */
+    fire: function (type, data, layer) {
+      (listeners[key(type, layer)] || []).slice().forEach(function (listener) {
+        listener(data);
+      });
+      return map;
+    },
+    listens: function (type, layer) {
+      return (listeners[key(type, layer)] || []).length;
+    },
+    getZoom: function () {
+      return 12;
+    },
+    getCenter: function () {
+      return {
+        lat: 21.03,
+        lng: 105.85,
+        wrap: function () {
+          return this;
+        }
+      };
+    },
+    getBounds: function () {
+      return {
+        getWest: function () {
+          return 105.8;
+        },
+        getSouth: function () {
+          return 21;
+        },
+        getEast: function () {
+          return 105.9;
+        },
+        getNorth: function () {
+          return 21.1;
+        }
+      };
+    },
+    flyTo: function (options) {
+      map.flights.push(options);
+      return map;
+    },
+    fitBounds: function (bounds, options) {
+      map.fitted = { bounds: bounds, options: options };
+      return map;
+    },
+    addSource: function (id, source) {
+      map.sources[id] = {
+        data: source.data,
+        setData: function (data) {
+          this.data = data;
+        }
+      };
+    },
+    getSource: function (id) {
+      return map.sources[id];
+    },
+    removeSource: function (id) {
+      delete map.sources[id];
+    },
+    addLayer: function (layer) {
+      map.layers[layer.id] = layer;
+    },
+    getLayer: function (id) {
+      return map.layers[id];
+    },
+    removeLayer: function (id) {
+      delete map.layers[id];
+    },
+    setFilter: function (id, filter) {
+      map.filters[id] = filter;
+    },
+    queryRenderedFeatures: function () {
+      return [];
+    },
+    getCanvas: function () {
+      return map._canvas;
+    }
+  };
+  document.body.appendChild(map._controlContainer);
+  return map;
+}
+
+/**
+ * A fake goongjs library, its Markers recorded as `markers`
+ */
+function createGoongjs() {
+  var goongjs = { markers: [] };
+
+  goongjs.Marker = function (options) {
+    this.options = options;
+    this.listeners = {};
+    goongjs.markers.push(this);
+  };
+  goongjs.Marker.prototype = {
+    setLngLat: function (lngLat) {
+      this.lngLat = { lng: lngLat[0], lat: lngLat[1] };
+      return this;
+    },
+    getLngLat: function () {
+      return this.lngLat;
+    },
+    addTo: function (map) {
+      this.map = map;
+      return this;
+    },
+    remove: function () {
+      this.map = null;
+      return this;
+    },
+    setPopup: function (popup) {
+      this.popup = popup;
+      return this;
+    },
+    getPopup: function () {
+      return this.popup;
+    },
+    on: function (type, listener) {
+      this.listeners[type] = listener;
+      return this;
+    },
+    off: function (type) {
+      delete this.listeners[type];
+      return this;
+    },
+    /**
+     * Drop the marker at a position, as if dragged there
+     */
+    drag: function (lngLat) {
+      this.setLngLat(lngLat);
+      if (this.listeners.dragend) this.listeners.dragend();
+    }
+  };
+
+  goongjs.Popup = function (options) {
+    this.options = options;
+  };
+  goongjs.Popup.prototype.setHTML = function (html) {
+    this.html = html;
+    return this;
+  };
+
+  return goongjs;
+}
+
+/**
+ * @returns {Promise} the data of the next event of this type emitted by a geocoder
+ */
+function nextEvent(emitter, type) {
+  return new Promise(function (resolve) {
+    emitter.on(type, function listener(data) {
+      emitter.off(type, listener);
+      resolve(data);
+    });
+  });
+}
+
+function wait(ms) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, ms);
+  });
+}
+
+module.exports = {
+  GoongGeocoder: GoongGeocoder,
+  geolocation: geolocation,
+  PLACES: PLACES,
+  prediction: prediction,
+  memoryStorage: memoryStorage,
+  fixtures: fixtures,
+  failing: failing,
+  createTransport: createTransport,
+  createGeocoder: createGeocoder,
+  addGeocoder: addGeocoder,
+  type: type,
+  select: select,
+  createMap: createMap,
+  createGoongjs: createGoongjs,
+  nextEvent: nextEvent,
+  wait: wait
+};
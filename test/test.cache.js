@@ -0,0 +1,66 @@
+'use strict';
+
+var test = require('tape');
+var sinon = require('sinon');
+var helpers = require('./helpers');
+var Cache = require('../lib/cache').Cache;
+var createCache = require('../lib/cache').createCache;
+
+test('Cache evicts the least recently used entries', function (t) {
+  var cache = new Cache({ size: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  t.equal(cache.get('a'), 1, 'reading a makes b the least recently used');
+  cache.set('c', 3);
+  t.equal(cache.get('b'), undefined, 'b is evicted');
+  t.equal(cache.get('a'), 1);
+  t.equal(cache.get('c'), 3);
+  t.end();
+});
+
+test('Cache expires entries', function (t) {
+  var clock = sinon.useFakeTimers(Date.now());
+  var cache = new Cache({ ttl: 1000 });
+  cache.set('a', 1);
+  clock.tick(999);
+  t.equal(cache.get('a'), 1, 'still valid');
+  clock.tick(2);
+  t.equal(cache.get('a'), undefined, 'expired');
+  clock.restore();
+  t.end();
+});
+
+test('Cache persists entries to a storage', function (t) {
+  var storage = helpers.memoryStorage();
+  new Cache({ storage: storage }).set('a', { body: 1 });
+  t.deepEqual(new Cache({ storage: storage }).get('a'), { body: 1 }, 'read by another cache');
+  t.end();
+});
+
+test('Cache writes the order of its entries to the storage once per task', function (t) {
+  var storage = helpers.memoryStorage();
+  var setItem = sinon.spy(storage, 'setItem');
+  var cache = new Cache({ storage: storage });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  for (var i = 0; i < 10; i++) cache.get('a');
+  var indexWrites = function () {
+    return setItem.args.filter(function (args) {
+      return /index$/.test(args[0]);
+    });
+  };
+  t.equal(indexWrites().length, 0, 'not on every read');
+  helpers.wait(0).then(function () {
+    t.equal(indexWrites().length, 1, 'once');
+    t.deepEqual(JSON.parse(indexWrites()[0][1]), ['b', 'a'], 'least recently used first');
+    t.end();
+  }).catch(t.end);
+});
+
+test('createCache', function (t) {
+  t.equal(createCache(false), null, 'disabled');
+  t.ok(createCache(true) instanceof Cache, 'default cache');
+  var custom = { get: function () {}, set: function () {} };
+  t.equal(createCache(custom), custom, 'custom cache');
+  t.end();
+});
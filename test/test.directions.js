@@ -0,0 +1,120 @@
+'use strict';
+
+var test = require('tape');
+var extend = require('xtend');
+var helpers = require('./helpers');
+
+/**
+ * Select the first prediction of a query in one of the inputs of a directions control
+ */
+function choose(directions, index, value) {
+  var geocoder = directions._points[index].geocoder;
+  geocoder.input = geocoder._inputEl;
+  helpers.type(geocoder, value);
+  return helpers.nextEvent(geocoder, 'results').then(function () {
+    helpers.select(geocoder);
+  });
+}
+
+function createDirections(options, log, answers) {
+  var map = helpers.createMap();
+  var directions = new helpers.GoongGeocoder.Directions(extend({
+    accessToken: 'test',
+    transport: helpers.createTransport(log, answers),
+    geocoder: { debounce: 0 }
+  }, options));
+  directions.addTo(map);
+  return directions;
+}
+
+test('draws the route between the origin and the destination', function (t) {
+  var log = [];
+  var directions = createDirections({}, log);
+  var map = directions._map;
+  var routed = helpers.nextEvent(directions, 'route');
+  choose(directions, 0, 'trang tien').then(function () {
+    return choose(directions, 1, 'cat linh');
+  }).then(function () {
+    return routed;
+  }).then(function (event) {
+    var request = log.filter(function (entry) {
+      return entry.path === '/direction';
+    })[0];
+    t.equal(request.query.origin, '21.0245,105.8566');
+    t.equal(request.query.destination, '21.0288,105.8297');
+    t.equal(request.query.vehicle, 'car');
+    t.equal(event.distance, 2500, 'in meters');
+    t.equal(event.duration, 420, 'in seconds');
+    var source = map.sources[directions._routeId];
+    t.deepEqual(source.data.geometry.coordinates[0], [-120.2, 38.5], 'draws the decoded line');
+    t.deepEqual(map.fitted.bounds, [[-126.453, 38.5], [-120.2, 43.252]], 'fits the map to the route');
+    t.equal(map.flights.length, 0, 'the inputs do not fly to their places');
+    t.deepEqual(directions.getWaypoints().map(function (place) {
+      return place.place_id;
+    }), ['trangtien', 'catlinh']);
+
+    routed = helpers.nextEvent(directions, 'route');
+    directions.swap();
+    return routed;
+  }).then(function () {
+    var request = log[log.length - 1];
+    t.equal(request.query.origin, '21.0288,105.8297', 'swaps the origin');
+    t.equal(request.query.destination, '21.0245,105.8566', 'and the destination');
+
+    routed = helpers.nextEvent(directions, 'route');
+    directions.setVehicle('bike');
+    return routed;
+  }).then(function () {
+    t.equal(log[log.length - 1].query.vehicle, 'bike', 'routes again for another vehicle');
+    var failed = helpers.nextEvent(directions, 'error');
+    directions.setVehicle('plane');
+    return failed;
+  }).then(function (event) {
+    t.ok(/vehicle/.test(event.error.message), 'reports an invalid vehicle');
+    directions.clear();
+    t.notOk(map.sources[directions._routeId], 'clearing removes the route');
+    directions.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('keeps the focus on swap and reports the routes it cannot draw', function (t) {
+  var directions = createDirections({}, null, {
+    '/direction': { routes: [{ legs: [] }] }
+  });
+  var failed = helpers.nextEvent(directions, 'error');
+  choose(directions, 0, 'trang tien').then(function () {
+    return choose(directions, 1, 'cat linh');
+  }).then(function () {
+    return failed;
+  }).then(function (event) {
+    t.equal(event.error.message, 'No route found', 'a route without a line is no route');
+    failed = helpers.nextEvent(directions, 'error');
+    directions._swapEl.focus();
+    directions._swapEl.click();
+    return failed;
+  }).then(function () {
+    t.equal(document.activeElement, directions._swapEl, 'the swapped inputs leave the focus on the button');
+    t.deepEqual(directions.getWaypoints().map(function (place) {
+      return place.place_id;
+    }), ['catlinh', 'trangtien'], 'swaps the places');
+    directions.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('speaks the language of the user', function (t) {
+  var directions = createDirections({ language: 'vi', stops: true, destinationPlaceholder: 'Đến đâu?' });
+  var placeholders = function () {
+    return Array.prototype.map.call(directions.container.querySelectorAll('input'), function (input) {
+      return input.placeholder;
+    });
+  };
+  directions.addStop();
+  t.deepEqual(placeholders(), ['Chọn điểm xuất phát', 'Thêm điểm dừng', 'Đến đâu?'], 'options override the messages');
+  directions.setLanguage('en');
+  t.deepEqual(placeholders(), ['Choose a starting point', 'Add a stop', 'Đến đâu?'], 'switches language');
+  t.equal(directions.container.querySelector('.mapboxgl-ctrl-geocoder--directions-add').textContent, '+ Add stop');
+  directions.onRemove();
+  t.end();
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+var test = require('tape');
+var helpers = require('./helpers');
+
+test('GoongGeocoder.Element.define', function (t) {
+  var Element = helpers.GoongGeocoder.Element;
+  t.notOk(window.customElements.get('goong-geocoder'), 'loading the geocoder does not define the element');
+  Element.define();
+  t.equal(window.customElements.get('goong-geocoder'), Element, 'defines it');
+  Element.define();
+  t.pass('once');
+  t.end();
+});
+
+test('the goong-geocoder element', function (t) {
+  var element = document.createElement('goong-geocoder');
+  element.setAttribute('placeholder', 'Tìm địa điểm');
+  element.setAttribute('limit', '1');
+  element.options = { transport: helpers.createTransport(), debounce: 0 };
+  document.body.appendChild(element);
+
+  var input = element.shadowRoot.querySelector('input');
+  t.ok(input, 'renders the geocoder in its shadow root');
+  t.equal(input.placeholder, 'Tìm địa điểm', 'with the options of its attributes');
+  t.equal(element.geocoder.options.limit, 1, 'read as numbers');
+
+  element.setAttribute('placeholder', 'Tìm kiếm');
+  t.equal(input.placeholder, 'Tìm kiếm', 'applies attribute changes');
+
+  element.setAttribute('stylesheet', 'https://example.com/goong-geocoder.css');
+  t.equal(element.shadowRoot.querySelector('link').href, 'https://example.com/goong-geocoder.css', 'links the given stylesheet');
+
+  var received = new Promise(function (resolve) {
+    element.addEventListener('results', resolve);
+  });
+  element.geocoder.input = input;
+  helpers.type(element.geocoder, 'trang tien');
+  received.then(function (event) {
+    t.ok(event instanceof CustomEvent, 'dispatches the events of the geocoder');
+    t.equal(event.detail.predictions[0].place_id, 'trangtien', 'with their data as detail');
+    var geocoder = element.geocoder;
+    document.body.removeChild(element);
+    t.equal(element.geocoder, null, 'removes the geocoder once disconnected');
+    t.equal(geocoder._eventEmitter.listenerCount('results'), 0);
+    t.end();
+  }).catch(t.end);
+});
+
+test('the goong-geocoder element links the cross-origin geocoder stylesheet', function (t) {
+  var crossOrigin = function (href) {
+    return {
+      href: href,
+      get cssRules() {
+        throw new Error('SecurityError');
+      }
+    };
+  };
+  Object.defineProperty(document, 'styleSheets', {
+    value: [crossOrigin('https://cdn.example.com/theme-geocoder.css'), crossOrigin('https://cdn.example.com/dist/goong-geocoder.css?v=2')],
+    configurable: true
+  });
+  var element = document.createElement('goong-geocoder');
+  element.options = { transport: helpers.createTransport() };
+  document.body.appendChild(element);
+  delete document.styleSheets;
+  var links = element.shadowRoot.querySelectorAll('link');
+  t.equal(links.length, 1, 'only the geocoder one');
+  t.equal(links[0].href, 'https://cdn.example.com/dist/goong-geocoder.css?v=2');
+  document.body.removeChild(element);
+  t.end();
+});
@@ -0,0 +1,935 @@
+'use strict';
+
+var test = require('tape');
+var extend = require('xtend');
+var helpers = require('./helpers');
+var TransportClient = require('../lib/transport').TransportClient;
+
+test('reverse geocodes a coordinate query', function (t) {
+  var log = [];
+  var geocoder = helpers.addGeocoder({ reverseGeocode: true }, log);
+  helpers.nextEvent(geocoder, 'results').then(function (results) {
+    t.deepEqual(log.map(function (request) {
+      return request.path;
+    }), ['/geocode'], 'not autocompleted');
+    t.equal(log[0].query.latlng, '21.0285,105.8542', 'in the latitude,longitude order');
+    t.equal(results.predictions[0].description, '1 Tràng Tiền, Hoàn Kiếm, Hà Nội');
+    t.equal(results.predictions[0].result.place_id, 'trangtien', 'carrying the place detail');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+  geocoder.setInput('105.8542, 21.0285');
+});
+
+test('selects the nearest address of a map click', function (t) {
+  var log = [];
+  var map = helpers.createMap();
+  var geocoder = helpers.createGeocoder({ reverseOnClick: true, marker: false }, log);
+  geocoder.addTo(map);
+  helpers.nextEvent(geocoder, 'result').then(function (event) {
+    t.equal(log.length, 1, 'no place detail request');
+    t.equal(event.result.result.place_id, 'trangtien');
+    t.equal(map._controlContainer.querySelector('input').value, '1 Tràng Tiền, Hoàn Kiếm, Hà Nội', 'fills the input');
+    t.deepEqual(map.flights[0].center, [105.85, 21.02], 'flies to the clicked point');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+  map.fire('click', { lngLat: { lat: 21.02, lng: 105.85 } });
+});
+
+test('aborts the search of a previous query', function (t) {
+  var log = [];
+  var events = [];
+  // answered slowly, so that the first query is still under way when the second one is typed
+  var answers = {
+    '/place/autocomplete': function (query) {
+      log.push(query.input);
+      return helpers.wait(10).then(function () {
+        return { status: 'OK', predictions: /tien/.test(query.input) ? [helpers.prediction('trangtien'), helpers.prediction('catlinh')] : [] };
+      });
+    }
+  };
+  var geocoder = helpers.addGeocoder({}, null, answers);
+  ['results', 'error'].forEach(function (type) {
+    geocoder.on(type, function () {
+      events.push(type);
+    });
+  });
+  geocoder.setInput('cat linh');
+  helpers.wait(5).then(function () {
+    geocoder.setInput('trang tien');
+    return helpers.wait(30);
+  }).then(function () {
+    t.deepEqual(log, ['cat linh', 'trang tien'], 'both queries are sent');
+    t.deepEqual(events, ['results'], 'only the last one is answered');
+    var items = geocoder.container.querySelectorAll('li');
+    t.equal(items.length, 2);
+    t.ok(/Tràng Tiền/.test(items[0].textContent), 'lists the predictions of the last query');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('drops responses to a previous query', function (t) {
+  var answers = {
+    // the first query is answered last
+    '/place/autocomplete': function (query) {
+      var places = /tien/.test(query.input) ? ['trangtien'] : ['catlinh'];
+      return helpers.wait(/tien/.test(query.input) ? 0 : 10).then(function () {
+        return { status: 'OK', predictions: places.map(helpers.prediction) };
+      });
+    }
+  };
+  // a client unable to abort its requests
+  var client = new TransportClient({ transport: helpers.createTransport(null, answers) });
+  client.abortRequest = function () {};
+  var results = [];
+  var geocoder = helpers.addGeocoder({ client: client });
+  geocoder.on('results', function (event) {
+    results.push(event.predictions[0].place_id);
+  });
+  geocoder.setInput('cat linh');
+  geocoder.setInput('trang tien');
+  helpers.wait(30).then(function () {
+    t.deepEqual(results, ['trangtien']);
+    t.equal(geocoder.container.querySelectorAll('li').length, 1);
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('clearing aborts the search under way', function (t) {
+  var events = [];
+  var geocoder = helpers.addGeocoder();
+  ['results', 'error'].forEach(function (type) {
+    geocoder.on(type, function () {
+      events.push(type);
+    });
+  });
+  geocoder.setInput('trang tien');
+  geocoder.clear();
+  helpers.wait(20).then(function () {
+    t.deepEqual(events, [], 'nothing is listed');
+    t.equal(geocoder.container.querySelectorAll('li').length, 0);
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('answers a repeated query from the cache', function (t) {
+  var log = [];
+  var geocoder = helpers.addGeocoder({}, log);
+  geocoder.setInput('trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    geocoder.setInput('cat linh');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    geocoder.setInput('trang tien');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function (results) {
+    t.equal(log.length, 2, 'the first query is not sent again');
+    t.equal(results.predictions.length, 2);
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('cache: false sends every query', function (t) {
+  var log = [];
+  var geocoder = helpers.addGeocoder({ cache: false }, log);
+  geocoder.setInput('trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    geocoder.setInput('trang tien');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    t.equal(log.length, 2);
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('caches only the responses whose status is OK', function (t) {
+  var answers = [{ status: 'OVER_QUERY_LIMIT', predictions: [] }, { status: 'OK', predictions: [helpers.prediction('trangtien')] }];
+  var geocoder = helpers.addGeocoder({}, null, {
+    '/place/autocomplete': function () {
+      return answers.shift() || { status: 'OK', predictions: [] };
+    }
+  });
+  geocoder.setInput('trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    geocoder.setInput('trang tien');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function (results) {
+    t.equal(results.predictions.length, 1, 'sends the query again');
+    geocoder.setInput('trang tien');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function (results) {
+    t.equal(results.predictions.length, 1, 'then answers it from the cache');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('merges the places of localGeocoder and externalGeocoder', function (t) {
+  var log = [];
+  var home = {
+    description: '36 Cát Linh, Đống Đa, Hà Nội',
+    name: 'Home',
+    geometry: { location: { lat: 21.0288, lng: 105.8297 } }
+  };
+  var office = {
+    description: 'Office',
+    place_id: 'office',
+    geometry: { location: { lat: 21.01, lng: 105.81 } }
+  };
+  var geocoder = helpers.addGeocoder({
+    localGeocoder: function (query) {
+      return /tien/.test(query) ? [home] : [];
+    },
+    externalGeocoder: function () {
+      return Promise.resolve([office]);
+    }
+  }, log);
+  geocoder.setInput('trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function (results) {
+    t.deepEqual(results.predictions.map(function (prediction) {
+      return prediction.description;
+    }), ['36 Cát Linh, Đống Đa, Hà Nội', 'Office', '1 Tràng Tiền, Hoàn Kiếm, Hà Nội'], 'own places first, the duplicate prediction dropped');
+    t.ok(results.predictions[0].local, 'flagged as local');
+
+    helpers.select(geocoder, 1);
+    return helpers.nextEvent(geocoder, 'result');
+  }).then(function (event) {
+    t.equal(event.result.result.place_id, 'office');
+    t.equal(log.length, 1, 'no place detail request for own places');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('localGeocoderOnly does not query the API', function (t) {
+  var log = [];
+  var geocoder = helpers.addGeocoder({
+    localGeocoderOnly: true,
+    localResultsFirst: false,
+    localGeocoder: function () {
+      return [{ description: 'Home', geometry: { location: { lat: 21, lng: 105 } } }];
+    }
+  }, log);
+  geocoder.setInput('trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function (results) {
+    t.equal(log.length, 0);
+    t.deepEqual(results.predictions.map(function (prediction) {
+      return prediction.description;
+    }), ['Home']);
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('lists the recent and favorite places when the input is focused and empty', function (t) {
+  var log = [];
+  var geocoder = helpers.addGeocoder({ history: { storage: helpers.memoryStorage() } }, log);
+  geocoder.addFavorite(helpers.PLACES.catlinh);
+  geocoder.setInput('trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    helpers.select(geocoder, 0);
+    return helpers.nextEvent(geocoder, 'result');
+  }).then(function () {
+    t.deepEqual(geocoder.getHistory().map(function (item) {
+      return item.place_id;
+    }), ['trangtien'], 'records the selected place');
+
+    geocoder.clear();
+    var items = geocoder.container.querySelectorAll('li');
+    t.equal(items.length, 2, 'lists them once cleared');
+    t.ok(items[0].querySelector('.mapboxgl-ctrl-geocoder--suggestion-favorite'), 'favorites first');
+    t.ok(items[1].querySelector('.mapboxgl-ctrl-geocoder--suggestion-history'));
+
+    var requests = log.length;
+    helpers.select(geocoder, 1);
+    return helpers.nextEvent(geocoder, 'result').then(function (event) {
+      t.equal(event.result.result.place_id, 'trangtien');
+      t.equal(log.length, requests, 'picking a recent place sends no request');
+      geocoder.onRemove();
+      t.end();
+    });
+  }).catch(t.end);
+});
+
+test('has the semantics of a combobox', function (t) {
+  var geocoder = helpers.addGeocoder();
+  var input = geocoder.input;
+  var list = geocoder.container.querySelector('ul');
+  t.equal(input.getAttribute('role'), 'combobox');
+  t.equal(input.getAttribute('aria-controls'), list.id, 'owns the list');
+  t.equal(list.getAttribute('role'), 'listbox');
+  t.equal(input.getAttribute('aria-expanded'), 'false');
+
+  geocoder.setInput('trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    var status = geocoder.container.querySelector('[role="status"]');
+    var options = list.querySelectorAll('[role="option"]');
+    t.equal(options.length, 2);
+    t.equal(input.getAttribute('aria-expanded'), 'true');
+    t.equal(input.getAttribute('aria-activedescendant'), options[0].id);
+    t.equal(status.textContent, '2 results available', 'announces the results');
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 40 }));
+    options = list.querySelectorAll('[role="option"]');
+    t.equal(input.getAttribute('aria-activedescendant'), options[1].id, 'follows the active option');
+    t.equal(options[1].getAttribute('aria-selected'), 'true');
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 27 }));
+    t.equal(input.getAttribute('aria-expanded'), 'false', 'collapsed with escape');
+    t.notOk(input.hasAttribute('aria-activedescendant'));
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('searches once the user stops typing', function (t) {
+  var log = [];
+  var geocoder = helpers.addGeocoder({ debounce: 10 }, log);
+  ['t', 'tr', 'trang', 'trang tien'].forEach(function (value) {
+    helpers.type(geocoder, value);
+  });
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    t.deepEqual(log.map(function (request) {
+      return request.query.input;
+    }), ['trang tien']);
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('waits for IME compositions to end', function (t) {
+  var log = [];
+  var geocoder = helpers.addGeocoder({ debounce: 10 }, log);
+  var input = geocoder.input;
+  input.dispatchEvent(new Event('compositionstart'));
+  // Telex: "tieen" composes "tiên"
+  ['trang t', 'trang ti', 'trang tie', 'trang tiee', 'trang tieen'].forEach(function (value) {
+    helpers.type(geocoder, value);
+  });
+  helpers.wait(30).then(function () {
+    t.equal(log.length, 0, 'no search while composing');
+    input.value = 'trang tiên';
+    input.dispatchEvent(new Event('compositionend'));
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    t.deepEqual(log.map(function (request) {
+      return request.query.input;
+    }), ['trang tiên'], 'searches the committed text');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('draws the listed predictions on the map', function (t) {
+  var map = helpers.createMap();
+  var geocoder = helpers.createGeocoder({ showPredictionsOnMap: true, marker: false, debounce: 0 });
+  geocoder.addTo(map);
+  geocoder.input = map._controlContainer.querySelector('input');
+  var id;
+  helpers.type(geocoder, 'trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    return helpers.wait(20);
+  }).then(function () {
+    id = Object.keys(map.sources)[0];
+    t.deepEqual(map.sources[id].data.features.map(function (feature) {
+      return feature.geometry.coordinates;
+    }), [[105.8566, 21.0245], [105.8297, 21.0288]], 'one point per prediction');
+    t.deepEqual(map.filters[id + '-highlight'], ['==', ['get', 'index'], 0], 'highlights the active item');
+    geocoder.input.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 40 }));
+    t.deepEqual(map.filters[id + '-highlight'], ['==', ['get', 'index'], 1], 'along with the list');
+    var selected = helpers.nextEvent(geocoder, 'result');
+    map.fire('click', { features: [{ properties: { index: 1 } }] }, id);
+    return selected;
+  }).then(function (event) {
+    t.equal(event.result.result.place_id, 'catlinh', 'selects a clicked point');
+    geocoder.onRemove();
+    t.deepEqual(Object.keys(map.sources), [], 'removes the points with the control');
+    t.notOk(map.listens('click', id), 'and their listeners');
+    t.end();
+  }).catch(t.end);
+});
+
+test('locates the predictions drawn on the map once the query is settled', function (t) {
+  var log = [];
+  var map = helpers.createMap();
+  var details = function () {
+    return log.filter(function (request) {
+      return request.path === '/place/detail';
+    }).length;
+  };
+  var geocoder = helpers.createGeocoder({ showPredictionsOnMap: true, marker: false, debounce: 200 }, log, {
+    '/place/autocomplete': function (query) {
+      log.push({ path: '/place/autocomplete', query: query });
+      return helpers.wait(50).then(function () {
+        return { status: 'OK', predictions: [helpers.prediction('trangtien'), helpers.prediction('catlinh')] };
+      });
+    }
+  });
+  geocoder.addTo(map);
+  geocoder.input = map._controlContainer.querySelector('input');
+  helpers.type(geocoder, 'trang tien');
+  helpers.wait(220).then(function () {
+    // typed while the first query is answered
+    helpers.type(geocoder, 'trang tien ');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    return helpers.wait(10);
+  }).then(function () {
+    t.equal(details(), 0, 'not while another query waits for the debounce');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    return helpers.wait(10);
+  }).then(function () {
+    t.equal(details(), 2, 'once it is settled');
+    t.equal(map.sources[Object.keys(map.sources)[0]].data.features.length, 2, 'drawn on the map');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('bills a search and its selection as one session', function (t) {
+  var log = [];
+  var tokens = 0;
+  var geocoder = helpers.addGeocoder({
+    debounce: 0,
+    sessionToken: function () {
+      return 'session' + ++tokens;
+    }
+  }, log);
+  helpers.type(geocoder, 'trang');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    helpers.type(geocoder, 'trang tien');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    helpers.select(geocoder, 1);
+    return helpers.nextEvent(geocoder, 'result');
+  }).then(function () {
+    helpers.type(geocoder, 'cat linh');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    t.deepEqual(log.map(function (request) {
+      return request.path + ' ' + request.query.sessiontoken;
+    }), [
+      '/place/autocomplete session1',
+      '/place/autocomplete session1',
+      '/place/detail session1',
+      '/place/autocomplete session2'
+    ], 'the selection ends the session');
+    geocoder.clear();
+    helpers.type(geocoder, 'cat linh');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    helpers.select(geocoder);
+    return helpers.nextEvent(geocoder, 'result');
+  }).then(function (event) {
+    t.equal(event.result.result.place_id, 'catlinh');
+    t.deepEqual(log.slice(4).map(function (request) {
+      return request.path + ' ' + request.query.sessiontoken;
+    }), ['/place/detail session3'], 'the place detail of a selection is sent even if cached, to close the session');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('shows the message of the type of error', function (t) {
+  var answer = helpers.failing(1, { status: 429 }, { status: 'OK', predictions: [helpers.prediction('trangtien')] });
+  var geocoder = helpers.addGeocoder({
+    debounce: 0,
+    retries: 0,
+    errorMessages: { quota_exceeded: 'Slow down' }
+  }, null, { '/place/autocomplete': answer });
+  helpers.type(geocoder, 'trang tien');
+  helpers.nextEvent(geocoder, 'error').then(function (event) {
+    t.equal(event.error.type, 'quota_exceeded');
+    t.equal(geocoder.container.querySelector('.goong-js-geocoder--error').textContent, 'Slow down');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('searches again once back online', function (t) {
+  var answer = helpers.failing(1, { status: 0 }, { status: 'OK', predictions: [helpers.prediction('trangtien')] });
+  var geocoder = helpers.addGeocoder({ debounce: 0 }, null, { '/place/autocomplete': answer });
+  Object.defineProperty(navigator, 'onLine', { value: false, configurable: true });
+  helpers.type(geocoder, 'trang tien');
+  helpers.nextEvent(geocoder, 'error').then(function (event) {
+    t.equal(event.error.type, 'offline', 'not retried while offline');
+    t.equal(answer.calls.length, 1);
+    delete navigator.onLine;
+    window.dispatchEvent(new Event('online'));
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function (results) {
+    t.equal(results.predictions.length, 1, 'answers the queued query');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('can be removed and added again', function (t) {
+  var log = [];
+  var map = helpers.createMap();
+  var geocoder = helpers.createGeocoder({ debounce: 0, marker: false, reverseOnClick: true }, log);
+  geocoder.addTo(map);
+  var input = map._controlContainer.querySelector('input');
+  map.removeControl(geocoder);
+  t.notOk(document.body.contains(input), 'takes the control out of the page');
+  t.notOk(map.listens('click'), 'stops listening to the map');
+  input.value = 'trang tien';
+  input.dispatchEvent(new Event('input'));
+  helpers.wait(20).then(function () {
+    t.equal(log.length, 0, 'stops listening to the input');
+    geocoder.addTo(map);
+    geocoder.input = map._controlContainer.querySelector('input');
+    helpers.type(geocoder, 'trang tien');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    return helpers.wait(20);
+  }).then(function () {
+    t.equal(log.length, 1, 'searches once when added again');
+    t.equal(map.listens('click'), 1);
+    geocoder.on('results', function () {});
+    geocoder.destroy();
+    t.notOk(map.listens('click'), 'destroy removes the control');
+    t.equal(geocoder._eventEmitter.listenerCount('results'), 0, 'and the listeners of its events');
+    t.end();
+  }).catch(t.end);
+});
+
+test('ignores the requests still pending once removed', function (t) {
+  var log = [];
+  var map = helpers.createMap();
+  var goongjs = helpers.createGoongjs();
+  var geocoder = helpers.createGeocoder({ goongjs: goongjs, geolocate: true, debounce: 0 }, log, {
+    '/place/detail': function (query) {
+      return helpers.wait(10).then(function () {
+        return { status: 'OK', result: helpers.PLACES[query.placeid] };
+      });
+    }
+  });
+  var events = [];
+  ['result', 'error', 'geolocate'].forEach(function (type) {
+    geocoder.on(type, function () {
+      events.push(type);
+    });
+  });
+  geocoder.addTo(map);
+  geocoder.input = map._controlContainer.querySelector('input');
+  map._controlContainer.querySelector('.mapboxgl-ctrl-geocoder--geolocate').click();
+  var position = helpers.geolocation.requests.pop();
+  helpers.type(geocoder, 'cat linh');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    helpers.select(geocoder);
+    map.removeControl(geocoder);
+    position.success({ coords: { latitude: 21.02, longitude: 105.85 } });
+    return helpers.wait(20);
+  }).then(function () {
+    t.deepEqual(events, [], 'neither the place detail nor the position select a place');
+    t.equal(goongjs.markers.length, 0, 'nor place a marker');
+    t.equal(map.flights.length, 0, 'nor move the map');
+    t.equal(log.filter(function (entry) {
+      return entry.path === '/geocode';
+    }).length, 0, 'the position is not reverse geocoded');
+    t.end();
+  }).catch(t.end);
+});
+
+test('selects the nearest address of the position of the user', function (t) {
+  var log = [];
+  var map = helpers.createMap();
+  var geocoder = helpers.createGeocoder({ geolocate: true, marker: false }, log);
+  geocoder.addTo(map);
+  var button = map._controlContainer.querySelector('.mapboxgl-ctrl-geocoder--geolocate');
+  t.equal(button.style.display, 'block', 'shown while the input is empty');
+  button.click();
+  var request = helpers.geolocation.requests.pop();
+  t.equal(request.options.timeout, 10000);
+  var located = helpers.nextEvent(geocoder, 'geolocate');
+  var selected = helpers.nextEvent(geocoder, 'result');
+  request.success({ coords: { latitude: 21.02, longitude: 105.85 } });
+  located.then(function (event) {
+    t.equal(event.coords.latitude, 21.02);
+    t.deepEqual(geocoder.getProximity(), { latitude: 21.02, longitude: 105.85 }, 'sets the proximity');
+    t.deepEqual(map.flights[0].center, [105.85, 21.02], 'flies to the user');
+    return selected;
+  }).then(function (event) {
+    t.equal(log[0].query.latlng, '21.02,105.85');
+    t.equal(event.result.result.place_id, 'trangtien');
+    t.equal(button.style.display, 'none', 'hidden once the input is filled');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('reports the failures of geolocation', function (t) {
+  var geocoder = helpers.addGeocoder({ geolocate: true });
+  geocoder.container.querySelector('.mapboxgl-ctrl-geocoder--geolocate').click();
+  var errored = helpers.nextEvent(geocoder, 'error');
+  helpers.geolocation.requests.pop().failure({ code: 1, PERMISSION_DENIED: 1, TIMEOUT: 3 });
+  errored.then(function (event) {
+    t.equal(event.error.type, 'geolocation_denied');
+    t.equal(geocoder.container.querySelector('.goong-js-geocoder--error').textContent, 'Permission to use your location was denied');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('flyTo: false leaves the picked results to setPlace', function (t) {
+  var log = [];
+  var map = helpers.createMap();
+  var geocoder = helpers.createGeocoder({ flyTo: false, marker: false, debounce: 0 }, log);
+  var selected = 0;
+  geocoder.on('result', function () {
+    selected++;
+  });
+  geocoder.addTo(map);
+  geocoder.input = map._controlContainer.querySelector('input');
+  helpers.type(geocoder, 'cat linh');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    helpers.select(geocoder);
+    return helpers.wait(10);
+  }).then(function () {
+    t.equal(selected, 0, 'picking a result does not select it');
+    t.equal(log.filter(function (entry) {
+      return entry.path === '/place/detail';
+    }).length, 0, 'nor requests its detail');
+    document.body.focus();
+    return geocoder.setPlace(helpers.PLACES.trangtien);
+  }).then(function () {
+    t.equal(selected, 1, 'setPlace selects a place');
+    t.equal(geocoder.input.value, '1 Tràng Tiền, Hoàn Kiếm, Hà Nội');
+    t.equal(map.flights.length, 0, 'without flying to it');
+    t.notEqual(document.activeElement, geocoder.input, 'nor focusing the input');
+    var cleared = helpers.nextEvent(geocoder, 'clear');
+    t.equal(geocoder.clearPlace(), geocoder);
+    return cleared;
+  }).then(function () {
+    t.equal(geocoder.input.value, '', 'clearPlace empties the input');
+    t.notEqual(document.activeElement, geocoder.input, 'without focusing it');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('refines the result by dragging its marker', function (t) {
+  var log = [];
+  var map = helpers.createMap();
+  var goongjs = helpers.createGoongjs();
+  var geocoder = helpers.createGeocoder({ goongjs: goongjs, draggableMarker: true, popup: true, debounce: 0 }, log);
+  geocoder.addTo(map);
+  geocoder.input = map._controlContainer.querySelector('input');
+  helpers.type(geocoder, 'cat linh');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    helpers.select(geocoder);
+    return helpers.nextEvent(geocoder, 'result');
+  }).then(function () {
+    var marker = goongjs.markers[0];
+    t.ok(marker.options.draggable, 'draggable');
+    t.deepEqual(marker.getLngLat(), { lng: 105.8297, lat: 21.0288 }, 'on the place');
+    t.ok(/Cát Linh.*36 Cát Linh, Đống Đa, Hà Nội/.test(marker.getPopup().html), 'with a popup of the place');
+    var refined = helpers.nextEvent(geocoder, 'result');
+    marker.drag([105.85, 21.02]);
+    return refined;
+  }).then(function (event) {
+    t.equal(log[log.length - 1].query.latlng, '21.02,105.85', 'reverse geocodes the dropped position');
+    t.deepEqual(event.result.result.geometry.location, { lat: 21.02, lng: 105.85 }, 'keeps the dropped position');
+    t.equal(event.result.result.place_id, 'trangtien', 'describes it with the nearest address');
+    t.equal(geocoder.input.value, '1 Tràng Tiền, Hoàn Kiếm, Hà Nội');
+    t.ok(/Tràng Tiền/.test(goongjs.markers[0].getPopup().html), 'updates the popup');
+    geocoder.onRemove();
+    t.notOk(goongjs.markers[0].listeners.dragend, 'removes the marker');
+    t.end();
+  }).catch(t.end);
+});
+
+test('restricts the results to the viewport', function (t) {
+  var log = [];
+  var map = helpers.createMap();
+  var geocoder = helpers.createGeocoder({ restrictToViewport: true, bbox: [0, 0, 1, 1], marker: false, debounce: 0 }, log);
+  geocoder.addTo(map);
+  geocoder.input = map._controlContainer.querySelector('input');
+  helpers.type(geocoder, 'trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    t.equal(log[0].query.location, '21.03,105.85', 'searches around the center of the map');
+    t.equal(log[0].query.radius, '8', 'within its bounds, rather than options.bbox');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('speaks the language of the user', function (t) {
+  var log = [];
+  var geocoder = helpers.addGeocoder({ language: 'vi', debounce: 0 }, log);
+  t.equal(geocoder.input.placeholder, 'Tìm kiếm');
+  helpers.type(geocoder, 'trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    t.equal(log[0].query.language, 'vi', 'asks the API for results in the language');
+    t.equal(geocoder.container.querySelector('[role="status"]').textContent, 'Có 2 kết quả', 'announces the results');
+    geocoder.setLanguage('en');
+    t.equal(geocoder.input.placeholder, 'Search', 'switches language');
+    t.equal(geocoder.container.querySelector('.mapboxgl-ctrl-geocoder--button').getAttribute('aria-label'), 'Clear');
+    helpers.type(geocoder, 'nowhere');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    t.equal(log[1].query.language, 'en');
+    t.equal(geocoder.container.querySelector('.mapboxgl-gl-geocoder--no-results').textContent, 'No results found');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('highlights the query in the suggestions and escapes them', function (t) {
+  var geocoder = helpers.addGeocoder({ debounce: 0 }, null, {
+    '/place/autocomplete': {
+      status: 'OK',
+      predictions: [{
+        description: 'Tràng Tiền <b>Plaza</b>',
+        place_id: 'plaza',
+        structured_formatting: { main_text: 'Tràng Tiền <b>Plaza</b>', secondary_text: 'Hoàn Kiếm' }
+      }]
+    }
+  });
+  helpers.type(geocoder, 'trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    var title = geocoder.container.querySelector('.mapboxgl-ctrl-geocoder--suggestion-title');
+    t.deepEqual(Array.prototype.map.call(title.querySelectorAll('mark'), function (mark) {
+      return mark.textContent;
+    }), ['Tràng', 'Tiền']);
+    t.equal(title.querySelector('b'), null, 'no markup from the API');
+    t.equal(title.textContent, 'Tràng Tiền <b>Plaza</b>');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('transforms the selected result with middleware', function (t) {
+  var geocoder = helpers.addGeocoder({
+    debounce: 0,
+    middleware: [{
+      transformResult: function (detail) {
+        return helpers.wait(5).then(function () {
+          detail.result.rating = 5;
+          return detail;
+        });
+      }
+    }]
+  });
+  helpers.type(geocoder, 'cat linh');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    helpers.select(geocoder);
+    return helpers.nextEvent(geocoder, 'result');
+  }).then(function (event) {
+    t.equal(event.result.result.place_id, 'catlinh');
+    t.equal(event.result.result.rating, 5, 'emits the transformed result');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('transforms the dragged results, leaving the cached details as they are', function (t) {
+  var map = helpers.createMap();
+  var goongjs = helpers.createGoongjs();
+  var geocoder = helpers.createGeocoder({
+    goongjs: goongjs,
+    draggableMarker: true,
+    debounce: 0,
+    middleware: [{
+      transformResult: function (detail) {
+        detail.result.transformed = (detail.result.transformed || 0) + 1;
+        return detail;
+      }
+    }]
+  });
+  geocoder.addTo(map);
+  geocoder.input = map._controlContainer.querySelector('input');
+  var pick = function () {
+    helpers.type(geocoder, 'cat linh');
+    return helpers.nextEvent(geocoder, 'results').then(function () {
+      helpers.select(geocoder);
+      return helpers.nextEvent(geocoder, 'result');
+    });
+  };
+  pick().then(function () {
+    geocoder.clear();
+    return pick();
+  }).then(function (event) {
+    t.equal(event.result.result.transformed, 1, 'transforms a copy of the cached detail');
+    var dropped = helpers.nextEvent(geocoder, 'result');
+    goongjs.markers[goongjs.markers.length - 1].drag([105.85, 21.02]);
+    return dropped;
+  }).then(function (event) {
+    t.equal(event.result.result.place_id, 'trangtien');
+    t.equal(event.result.result.transformed, 1, 'transforms the dragged result');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('keeps the query and the selected place in the URL', function (t) {
+  window.history.replaceState(null, '', '/map?tab=1#place=catlinh&q=Cát Linh');
+  var map = helpers.createMap();
+  var geocoder = helpers.createGeocoder({ urlState: true, marker: false, debounce: 0 });
+  var restored = helpers.nextEvent(geocoder, 'result');
+  geocoder.addTo(map);
+  geocoder.input = map._controlContainer.querySelector('input');
+  restored.then(function (event) {
+    t.equal(event.result.result.place_id, 'catlinh', 'restores the place of the URL');
+    t.equal(geocoder.input.value, 'Cát Linh', 'and the query');
+    t.deepEqual(map.flights[0].center, [105.8297, 21.0288], 'flies to the place');
+    t.notEqual(document.activeElement, geocoder.input, 'without focusing the input');
+    helpers.type(geocoder, 'trang tien');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    helpers.select(geocoder);
+    return helpers.nextEvent(geocoder, 'result');
+  }).then(function () {
+    t.equal(window.location.search, '?tab=1', 'leaves the other parameters');
+    var params = new URLSearchParams(window.location.hash.slice(1));
+    t.equal(params.get('place'), 'trangtien', 'writes the selected place');
+    t.equal(params.get('q'), '1 Tràng Tiền, Hoàn Kiếm, Hà Nội');
+    geocoder.clear();
+    t.equal(window.location.hash, '', 'clearing removes them');
+    geocoder.onRemove();
+    window.history.replaceState(null, '', '/map');
+    t.end();
+  }).catch(t.end);
+});
+
+test('keeps the query typed in the URL', function (t) {
+  window.history.replaceState(null, '', '/map#q=trang tien');
+  var log = [];
+  var map = helpers.createMap();
+  var geocoder = helpers.createGeocoder({ urlState: true, marker: false, debounce: 20 }, log);
+  var restored = helpers.nextEvent(geocoder, 'results');
+  geocoder.addTo(map);
+  geocoder.input = map._controlContainer.querySelector('input');
+  restored.then(function (event) {
+    t.equal(log[0].query.input, 'trang tien', 'searches the query of the URL');
+    t.equal(event.predictions.length, 2);
+    t.equal(geocoder.input.value, 'trang tien');
+    helpers.type(geocoder, 'cat');
+    helpers.type(geocoder, 'cat linh');
+    t.equal(new URLSearchParams(window.location.hash.slice(1)).get('q'), 'trang tien', 'not on every keystroke');
+    return helpers.nextEvent(geocoder, 'results');
+  }).then(function () {
+    t.equal(new URLSearchParams(window.location.hash.slice(1)).get('q'), 'cat linh', 'writes the query once typed');
+    geocoder.onRemove();
+    window.history.replaceState(null, '', '/map');
+    t.end();
+  }).catch(t.end);
+});
+
+test('searches the places of a category around the map', function (t) {
+  var log = [];
+  var map = helpers.createMap();
+  var geocoder = helpers.createGeocoder({
+    categories: ['Cafe', { label: 'Ga tàu', query: 'ga' }],
+    nearbyPrefix: 'near:',
+    marker: false,
+    debounce: 0
+  }, log, {
+    // the farthest place first
+    '/place/autocomplete': function (query) {
+      log.push({ path: '/place/autocomplete', query: query });
+      return { status: 'OK', predictions: [helpers.prediction('catlinh'), helpers.prediction('trangtien')] };
+    }
+  });
+  geocoder.addTo(map);
+  geocoder.input = map._controlContainer.querySelector('input');
+  var buttons = map._controlContainer.querySelectorAll('.mapboxgl-ctrl-geocoder--category');
+  t.deepEqual(Array.prototype.map.call(buttons, function (button) {
+    return button.textContent;
+  }), ['Cafe', 'Ga tàu'], 'lists the categories');
+  var found = helpers.nextEvent(geocoder, 'nearby');
+  buttons[1].click();
+  found.then(function (event) {
+    t.equal(geocoder.input.value, 'near: ga', 'fills the input');
+    t.equal(log[0].query.input, 'ga', 'searches the query of the category');
+    t.equal(log[0].query.location, '21.03,105.85', 'around the center of the map');
+    t.equal(log[0].query.radius, '2', 'within options.nearbyRadius');
+    t.deepEqual(event.anchor, { lat: 21.03, lng: 105.85 });
+    t.deepEqual(event.predictions.map(function (prediction) {
+      return prediction.place_id;
+    }), ['trangtien', 'catlinh'], 'nearest first');
+    t.ok(event.predictions[0].distance < event.predictions[1].distance, 'with their distance');
+    return helpers.wait(10);
+  }).then(function () {
+    t.equal(map.sources[Object.keys(map.sources)[0]].data.features.length, 2, 'drawn on the map');
+    helpers.type(geocoder, 'near: cafe');
+    return helpers.nextEvent(geocoder, 'nearby');
+  }).then(function (event) {
+    t.equal(event.category, 'cafe', 'typing the prefix searches nearby too');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('locates the first options.limit places of a nearby search, from the cache once known', function (t) {
+  var log = [];
+  var details = function () {
+    return log.filter(function (request) {
+      return request.path === '/place/detail';
+    }).length;
+  };
+  var geocoder = helpers.addGeocoder({ categories: ['Cafe'], limit: 1, debounce: 0 }, log);
+  geocoder.nearby('tien');
+  helpers.nextEvent(geocoder, 'nearby').then(function (event) {
+    t.equal(event.predictions.length, 1);
+    t.equal(details(), 1, 'one place detail request');
+    geocoder.nearby('tien');
+    return helpers.nextEvent(geocoder, 'nearby');
+  }).then(function (event) {
+    t.equal(event.predictions[0].result.place_id, 'trangtien');
+    t.equal(details(), 1, 'none the second time');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('shows the distance of the suggestions', function (t) {
+  var geocoder = helpers.addGeocoder({ debounce: 0 }, null, {
+    '/place/autocomplete': {
+      status: 'OK',
+      predictions: [extend(helpers.prediction('trangtien'), { distance_meters: 1234 })]
+    }
+  });
+  geocoder.setProximity({ latitude: 21.0288, longitude: 105.8297 });
+  helpers.type(geocoder, 'trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    var distance = geocoder.container.querySelector('.mapboxgl-ctrl-geocoder--suggestion-distance');
+    t.equal(distance.textContent, '1.2 km', 'given by the API');
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
+
+test('reports the failures of a selection and of query', function (t) {
+  var geocoder = helpers.addGeocoder({ debounce: 0, retries: 0 }, null, {
+    '/place/detail': function () {
+      throw { status: 500 };
+    }
+  });
+  helpers.type(geocoder, 'trang tien');
+  helpers.nextEvent(geocoder, 'results').then(function () {
+    helpers.select(geocoder);
+    return helpers.nextEvent(geocoder, 'error');
+  }).then(function (event) {
+    t.equal(event.error.type, 'server', 'the selection emits an error, rather than leaving its rejection unhandled');
+    var message = 'The server could not complete the search. Please try again later';
+    t.equal(geocoder.container.querySelector('.goong-js-geocoder--error').textContent, message, 'shows it');
+    t.equal(geocoder.container.querySelector('[role="status"]').textContent, message, 'announces it');
+    geocoder.query('cat linh');
+    return helpers.nextEvent(geocoder, 'error');
+  }).then(function (event) {
+    t.equal(event.error.type, 'server', 'as does query');
+    return helpers.wait(10);
+  }).then(function () {
+    geocoder.onRemove();
+    t.end();
+  }).catch(t.end);
+});
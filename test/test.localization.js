@@ -0,0 +1,28 @@
+'use strict';
+
+var test = require('tape');
+var localization = require('../lib/localization');
+
+test('getMessages', function (t) {
+  t.equal(localization.getMessages('vi').noResults, 'Không tìm thấy kết quả');
+  t.equal(localization.getMessages('fr').noResults, 'No results found', 'English by default');
+  var messages = localization.getMessages('fr', { fr: { noResults: 'Aucun résultat', errors: { offline: 'Hors ligne' } } });
+  t.equal(messages.noResults, 'Aucun résultat', 'adds a language');
+  t.equal(messages.errors.offline, 'Hors ligne');
+  t.equal(messages.errors.server, 'The server could not complete the search. Please try again later', 'missing messages in English');
+  t.end();
+});
+
+test('format', function (t) {
+  t.equal(localization.format('Có {count} kết quả', { count: 3 }), 'Có 3 kết quả');
+  t.equal(localization.format('{missing}', {}), '{missing}', 'keeps unknown placeholders');
+  t.end();
+});
+
+test('formatDistance', function (t) {
+  t.equal(localization.formatDistance(0.456, 45, 'en', localization.getMessages('en')), '460 m NE', 'meters, to the nearest 10');
+  t.equal(localization.formatDistance(0.001, null, 'en', localization.getMessages('en')), '10 m', 'without a direction');
+  t.equal(localization.formatDistance(1.234, 180, 'vi', localization.getMessages('vi')), '1,2 km N', 'in the language');
+  t.equal(localization.formatDistance(12.6, 350, 'en', localization.getMessages('en')), '13 km N', 'whole kilometers from 10 km');
+  t.end();
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+var test = require('tape');
+var helpers = require('./helpers');
+var GeocoderError = require('../lib/errors');
+
+var FOUND = { status: 'OK', predictions: [helpers.prediction('trangtien')] };
+
+function createGeocoder(options, answer) {
+  return helpers.createGeocoder(options, null, { '/place/autocomplete': answer });
+}
+
+test('retries transient errors with a growing delay', function (t) {
+  var answer = helpers.failing(2, { status: 503 }, FOUND);
+  var geocoder = createGeocoder({ retries: 2, retryDelay: 20 }, answer);
+  geocoder.search('abc').then(function (features) {
+    t.equal(features.length, 1, 'succeeds after the retries');
+    t.equal(answer.calls.length, 3);
+    t.ok(answer.calls[1] - answer.calls[0] >= 15, 'waits before the first retry');
+    t.ok(answer.calls[2] - answer.calls[1] >= 35, 'waits twice as long before the second one');
+    t.end();
+  }).catch(t.end);
+});
+
+test('gives up after options.retries', function (t) {
+  var answer = helpers.failing(5, { status: 500 }, FOUND);
+  var geocoder = createGeocoder({ retries: 1, retryDelay: 1 }, answer);
+  geocoder.search('abc').then(function () {
+    t.fail('should reject');
+    t.end();
+  }, function (error) {
+    t.ok(error instanceof GeocoderError);
+    t.equal(error.type, 'server');
+    t.equal(error.statusCode, 500);
+    t.equal(answer.calls.length, 2);
+    t.end();
+  });
+});
+
+test('does not retry other errors', function (t) {
+  var answer = helpers.failing(5, { status: 401 }, FOUND);
+  var geocoder = createGeocoder({ retries: 3, retryDelay: 1 }, answer);
+  geocoder.search('abc').catch(function (error) {
+    t.equal(error.type, 'unauthorized');
+    t.equal(error.retryable, false);
+    t.equal(answer.calls.length, 1);
+    t.end();
+  });
+});
+
+test('honours Retry-After', function (t) {
+  var answer = helpers.failing(1, { status: 429, headers: { 'Retry-After': '0.1' } }, FOUND);
+  var geocoder = createGeocoder({ retries: 1, retryDelay: 1 }, answer);
+  geocoder.search('abc').then(function () {
+    t.equal(answer.calls.length, 2);
+    t.ok(answer.calls[1] - answer.calls[0] >= 90, 'waits for the delay of the header rather than retryDelay');
+    t.end();
+  }).catch(t.end);
+});
+
+test('GeocoderError.retryAfter', function (t) {
+  var withHeader = function (value) {
+    return { original: { headers: { 'retry-after': value } } };
+  };
+  t.equal(GeocoderError.retryAfter(withHeader('2')), 2000, 'seconds');
+  var date = GeocoderError.retryAfter(withHeader(new Date(Date.now() + 5000).toUTCString()));
+  t.ok(date > 3000 && date <= 5000, 'HTTP date');
+  t.equal(GeocoderError.retryAfter(withHeader('soon')), null, 'invalid');
+  t.equal(GeocoderError.retryAfter({ original: {} }), null, 'no header');
+  t.end();
+});
@@ -0,0 +1,257 @@
+'use strict';
+
+var test = require('tape');
+var path = require('path');
+var execFileSync = require('child_process').execFileSync;
+var extend = require('xtend');
+var helpers = require('./helpers');
+
+test('search', function (t) {
+  var log = [];
+  var geocoder = helpers.createGeocoder({ proximity: { latitude: 21, longitude: 105.8 }, radius: 10 }, log);
+  geocoder.search('trang tien', { limit: 1 }).then(function (features) {
+    t.equal(features.length, 1, 'limited');
+    t.equal(features[0].properties.place_id, 'trangtien');
+    t.equal(log[0].query.location, '21,105.8', 'searches around the proximity');
+    t.equal(log[0].query.radius, '10', 'within the radius');
+    t.end();
+  }).catch(t.end);
+});
+
+test('getDetail', function (t) {
+  var geocoder = helpers.createGeocoder();
+  geocoder.getDetail('catlinh').then(function (place) {
+    t.equal(place.formatted_address, '36 Cát Linh, Đống Đa, Hà Nội');
+    t.end();
+  }).catch(t.end);
+});
+
+test('geocodeFirst', function (t) {
+  var geocoder = helpers.createGeocoder();
+  geocoder.geocodeFirst('cat linh').then(function (place) {
+    t.equal(place.formatted_address, '36 Cát Linh, Đống Đa, Hà Nội');
+    return geocoder.geocodeFirst('nowhere');
+  }).then(function (place) {
+    t.equal(place, null, 'nothing matched');
+    t.end();
+  }).catch(t.end);
+});
+
+test('search without a DOM', function (t) {
+  var script = [
+    "var GoongGeocoder = require('./lib/index');",
+    'new GoongGeocoder({',
+    "  accessToken: 'test',",
+    '  localGeocoderOnly: true,',
+    '  localGeocoder: function (input) {',
+    "    return [{ description: input + ', Hà Nội', place_id: 'local' }];",
+    '  }',
+    "}).search('trang tien').then(function (features) {",
+    '  process.stdout.write(features[0].properties.formatted_address);',
+    '});'
+  ].join('\n');
+  var output = execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), encoding: 'utf8' });
+  t.equal(output, 'trang tien, Hà Nội', 'loads and searches in Node');
+  t.end();
+});
+
+test('search restricted to an administrative area', function (t) {
+  var log = [];
+  var geocoder = helpers.createGeocoder({ adminArea: { district: 'Đống Đa' } }, log);
+  geocoder.search('trang tien').then(function (features) {
+    t.equal(log[0].query.more_compound, 'true', 'requests the compound addresses');
+    t.deepEqual(features.map(function (feature) {
+      return feature.properties.place_id;
+    }), ['catlinh'], 'hides the others');
+    geocoder.setAdminArea({ district: 'Đống Đa' }).options.restrictMode = 'demote';
+    return geocoder.search('trang tien');
+  }).then(function (features) {
+    t.deepEqual(features.map(function (feature) {
+      return feature.properties.place_id;
+    }), ['catlinh', 'trangtien'], 'or demotes them');
+    t.end();
+  }).catch(t.end);
+});
+
+test('search restricted to a bounding box', function (t) {
+  var log = [];
+  var geocoder = helpers.createGeocoder({
+    bbox: [105.8, 21, 105.9, 21.1],
+    proximity: { latitude: 10.7769, longitude: 106.7009 },
+    localGeocoder: function () {
+      return [
+        { description: 'Hồ Gươm', geometry: { location: { lat: 21.0287, lng: 105.8524 } } },
+        { description: 'Chợ Bến Thành', geometry: { location: { lat: 10.7725, lng: 106.698 } } }
+      ];
+    }
+  }, log);
+  geocoder.search('ho').then(function (features) {
+    t.equal(log[0].query.location, '21.05,105.85', 'searches around the box rather than a proximity outside of it');
+    t.equal(log[0].query.radius, '8', 'within the box');
+    t.deepEqual(features.map(function (feature) {
+      return feature.properties.name;
+    }), ['Hồ Gươm'], 'hides the places outside of the box');
+    t.end();
+  }).catch(t.end);
+});
+
+test('search locating the predictions to check them against a bounding box', function (t) {
+  var log = [];
+  var details = function () {
+    return log.filter(function (entry) {
+      return entry.path === '/place/detail';
+    }).map(function (entry) {
+      return entry.query.placeid;
+    });
+  };
+  // around Tràng Tiền, leaving Cát Linh out
+  var geocoder = helpers.createGeocoder({ bbox: [105.85, 21, 105.9, 21.1] }, log);
+  geocoder.search('trang tien').then(function (features) {
+    t.deepEqual(details(), ['trangtien', 'catlinh'], 'locates the predictions');
+    t.deepEqual(features.map(function (feature) {
+      return feature.properties.place_id;
+    }), ['trangtien'], 'hides those outside of the box');
+    t.deepEqual(features[0].geometry, { type: 'Point', coordinates: [105.8566, 21.0245] }, 'located');
+    t.equal(features[0].properties.name, 'Tràng Tiền', 'named after their detail');
+    geocoder.setLimit(1);
+    return geocoder.search('trang tien', { limit: 2 });
+  }).then(function (features) {
+    t.deepEqual(details(), ['trangtien', 'catlinh'], 'from the cache');
+    t.deepEqual(features.map(function (feature) {
+      return feature.properties.place_id;
+    }), ['trangtien', 'catlinh'], 'keeping those past options.limit');
+  }).then(function () {
+    t.end();
+  }).catch(t.end);
+});
+
+test('search with middleware', function (t) {
+  var geocoder = helpers.createGeocoder({
+    middleware: [{
+      beforeSearch: function (config) {
+        return Promise.resolve(extend(config, { input: config.input.replace('ttien', 'trang tien') }));
+      },
+      filterPrediction: function (prediction) {
+        return prediction.place_id !== 'trangtien';
+      }
+    }]
+  });
+  geocoder.use({
+    sortPredictions: function (predictions) {
+      return predictions.concat(helpers.prediction('trangtien'));
+    }
+  });
+  geocoder.search('ttien').then(function (features) {
+    t.deepEqual(features.map(function (feature) {
+      return feature.properties.place_id;
+    }), ['catlinh', 'trangtien'], 'in the order of the middleware');
+    t.end();
+  }).catch(t.end);
+});
+
+test('batchGeocode', function (t) {
+  var progress = [];
+  var geocoder = helpers.createGeocoder();
+  geocoder.batchGeocode(['1 Trang Tien, Hoan Kiem', '', 'nowhere', '36 Cat Linh'], {
+    concurrency: 2,
+    onProgress: function (event) {
+      progress.push(event.done + '/' + event.total);
+    }
+  }).then(function (collection) {
+    t.equal(collection.type, 'FeatureCollection');
+    var features = collection.features;
+    t.deepEqual(features.map(function (feature) {
+      return feature.properties.input;
+    }), ['1 Trang Tien, Hoan Kiem', '', 'nowhere', '36 Cat Linh'], 'in the order of the addresses');
+
+    t.deepEqual(features[0].geometry, { type: 'Point', coordinates: [105.8566, 21.0245] });
+    t.equal(features[0].properties.place_id, 'trangtien');
+    t.equal(features[0].properties.confidence, 1);
+    t.equal(features[0].properties.candidates, 2);
+
+    t.equal(features[1].geometry, null);
+    t.equal(features[1].properties.error.type, 'empty');
+    t.equal(features[2].properties.error.type, 'no_results');
+    t.equal(features[3].properties.matched, true);
+    t.deepEqual(progress, ['1/4', '2/4', '3/4', '4/4']);
+    t.end();
+  }).catch(t.end);
+});
+
+test('batchGeocode reports failed rows', function (t) {
+  var geocoder = helpers.createGeocoder({ retries: 0 }, null, {
+    '/place/autocomplete': function () {
+      throw { status: 401 };
+    }
+  });
+  geocoder.batchGeocode(['abc']).then(function (collection) {
+    var properties = collection.features[0].properties;
+    t.equal(properties.matched, false);
+    t.equal(properties.error.type, 'unauthorized');
+    t.end();
+  }).catch(t.end);
+});
+
+test('search sorted and cut off by distance', function (t) {
+  var log = [];
+  // at Cát Linh, 2.9 km from Tràng Tiền
+  var proximity = { latitude: 21.0288, longitude: 105.8297 };
+  var geocoder = helpers.createGeocoder({ proximity: proximity, sortByDistance: true }, log);
+  geocoder.search('trang tien').then(function (features) {
+    t.deepEqual(features.map(function (feature) {
+      return feature.properties.place_id;
+    }), ['catlinh', 'trangtien'], 'nearest first');
+    t.equal(features[0].properties.distance, 0);
+    t.ok(Math.abs(features[1].properties.distance - 2.9) < 0.1, 'in kilometers');
+    t.ok(Math.abs(features[1].properties.bearing - 90) < 10, 'heading east');
+    t.equal(log.filter(function (request) {
+      return request.path === '/place/detail';
+    }).length, 2, 'locates the predictions');
+    return helpers.createGeocoder({ proximity: proximity, maxDistance: 1 }).search('trang tien');
+  }).then(function (features) {
+    t.deepEqual(features.map(function (feature) {
+      return feature.properties.place_id;
+    }), ['catlinh'], 'drops the farther ones');
+    t.end();
+  }).catch(t.end);
+});
+
+test('search measuring the distance of the first options.limit predictions, from the cache once located', function (t) {
+  var log = [];
+  var details = function () {
+    return log.filter(function (request) {
+      return request.path === '/place/detail';
+    }).length;
+  };
+  var proximity = { latitude: 21.0288, longitude: 105.8297 };
+  var geocoder = helpers.createGeocoder({ proximity: proximity, sortByDistance: true, limit: 1 }, log);
+  geocoder.search('trang tien', { limit: 2 }).then(function (features) {
+    t.equal(details(), 1, 'one place detail request');
+    t.deepEqual(features.map(function (feature) {
+      return typeof feature.properties.distance;
+    }), ['number', 'undefined'], 'the others listed last');
+    return geocoder.search('trang tien', { limit: 2 });
+  }).then(function () {
+    t.equal(details(), 1, 'none the second time');
+    t.end();
+  }).catch(t.end);
+});
+
+test('search in a web worker', function (t) {
+  // a worker scope: `self` with `fetch`, but no `window` nor `XMLHttpRequest`
+  var script = [
+    'global.self = {',
+    '  fetch: function (url) {',
+    "    var body = { status: 'OK', predictions: [{ description: url.split('?')[0], place_id: 'a' }] };",
+    '    return Promise.resolve({ status: 200, headers: {}, body: body });',
+    '  }',
+    '};',
+    "var GoongGeocoder = require('./lib/index');",
+    "new GoongGeocoder({ accessToken: 'test' }).search('trang tien').then(function (features) {",
+    '  process.stdout.write(features[0].properties.formatted_address);',
+    '});'
+  ].join('\n');
+  var output = execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), encoding: 'utf8' });
+  t.equal(output.toLowerCase(), 'https://rsapi.goong.io/place/autocomplete', 'sends the requests with fetch');
+  t.end();
+});
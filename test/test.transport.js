@@ -0,0 +1,92 @@
+'use strict';
+
+var test = require('tape');
+var helpers = require('./helpers');
+var GoongGeocoder = helpers.GoongGeocoder;
+var TransportClient = require('../lib/transport').TransportClient;
+
+test('sends the requests with the transport, through the interceptors', function (t) {
+  var sent = [];
+  var fixtures = helpers.createTransport();
+  var geocoder = new GoongGeocoder({
+    transport: function (url, init) {
+      sent.push({ url: url, init: init });
+      return fixtures(url, init);
+    },
+    interceptors: {
+      request: function (request) {
+        request.headers['X-Signature'] = 'signed';
+        return request;
+      },
+      response: function (response) {
+        var body = JSON.parse(response.body);
+        body.predictions.reverse();
+        response.body = JSON.stringify(body);
+        return response;
+      }
+    }
+  });
+  geocoder.search('trang tien').then(function (features) {
+    t.ok(/^https:\/\/rsapi\.goong\.io\/Place\/AutoComplete\?/i.test(sent[0].url), 'to the API origin');
+    t.notOk(/api_key/.test(sent[0].url), 'without an API key, left to a proxy');
+    t.equal(sent[0].init.headers['X-Signature'], 'signed', 'intercepts the request');
+    t.deepEqual(features.map(function (feature) {
+      return feature.properties.place_id;
+    }), ['catlinh', 'trangtien'], 'intercepts the response');
+    t.end();
+  }).catch(t.end);
+});
+
+test('sends the requests with a given client', function (t) {
+  var fixtures = helpers.createTransport();
+  var paths = [];
+  var client = new TransportClient({ transport: fixtures });
+  var sendRequest = client.sendRequest;
+  client.sendRequest = function (request) {
+    paths.push(request.path);
+    return sendRequest.call(this, request);
+  };
+  var geocoder = new GoongGeocoder({ client: client, accessToken: 'ignored' });
+  geocoder.geocodeFirst('cat linh').then(function (place) {
+    t.equal(place.place_id, 'catlinh');
+    t.equal(paths.length, 2, 'searches and gets the detail with the client');
+    t.end();
+  }).catch(t.end);
+});
+
+test('fixtureTransport', function (t) {
+  var transport = GoongGeocoder.fixtureTransport({
+    '/Place/Detail': function (query, url) {
+      return { status: 'OK', url: url, placeid: query.placeid, compound: query.more_compound };
+    }
+  }, { delay: 10 });
+  var started = Date.now();
+  transport('https://rsapi.goong.io/place/detail?placeid=a%20b&more_compound').then(function (response) {
+    t.ok(Date.now() - started >= 9, 'answers after the delay');
+    t.equal(response.status, 200);
+    t.equal(response.body.placeid, 'a b', 'with the decoded query, matching the path without case');
+    t.equal(response.body.compound, 'true', 'reading a bare parameter as true');
+    return transport('https://rsapi.goong.io/Geocode');
+  }).then(function (response) {
+    t.equal(response.status, 404, 'answers other paths with a 404');
+
+    var controller = new AbortController();
+    var answered = false;
+    transport('https://rsapi.goong.io/Place/Detail', { signal: controller.signal }).then(function () {
+      answered = true;
+    });
+    controller.abort();
+    return helpers.wait(20).then(function () {
+      t.notOk(answered, 'does not answer aborted requests');
+    });
+  }).then(function () {
+    var geocoder = new GoongGeocoder({ transport: transport, retries: 0 });
+    return geocoder.search('abc').then(function () {
+      t.fail('should reject');
+    }, function (error) {
+      t.equal(error.statusCode, 404, 'the geocoder rejects with the HTTP error');
+    });
+  }).then(function () {
+    t.end();
+  }).catch(t.end);
+});
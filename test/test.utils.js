@@ -0,0 +1,99 @@
+'use strict';
+
+var test = require('tape');
+var utils = require('../lib/utils');
+
+test('parseCoordinates', function (t) {
+  t.deepEqual(utils.parseCoordinates('21.028,105.834'), { latitude: 21.028, longitude: 105.834 }, 'latitude,longitude');
+  t.deepEqual(utils.parseCoordinates(' 105.834 , 21.028 '), { latitude: 21.028, longitude: 105.834 }, 'longitude,latitude');
+  t.deepEqual(utils.parseCoordinates('21.028 105.834'), { latitude: 21.028, longitude: 105.834 }, 'separated by a space');
+  t.deepEqual(utils.parseCoordinates('-33.9 +151'), { latitude: -33.9, longitude: 151 }, 'signed, separated by a space');
+  t.equal(utils.parseCoordinates('10 20'), null, 'integers separated by a space');
+  t.equal(utils.parseCoordinates('21.028 105'), null, 'an integer separated by a space');
+  t.deepEqual(utils.parseCoordinates('21, 105'), { latitude: 21, longitude: 105 }, 'integers separated by a comma');
+  t.deepEqual(utils.parseCoordinates('-33.9,151.2'), { latitude: -33.9, longitude: 151.2 }, 'negative');
+  t.equal(utils.parseCoordinates('95,200'), null, 'out of range');
+  t.equal(utils.parseCoordinates('Quận 1, 12'), null, 'not a pair');
+  t.equal(utils.parseCoordinates(''), null, 'empty');
+  t.end();
+});
+
+test('decodePolyline', function (t) {
+  // the example of the polyline algorithm documentation
+  t.deepEqual(utils.decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@'), [
+    [-120.2, 38.5],
+    [-120.95, 40.7],
+    [-126.453, 43.252]
+  ]);
+  t.deepEqual(utils.decodePolyline(''), [], 'empty line');
+  t.end();
+});
+
+test('matchesArea', function (t) {
+  var prediction = function (description, compound) {
+    return { description: description, compound: compound };
+  };
+
+  t.ok(utils.matchesArea(prediction('1 Tràng Tiền, Hoàn Kiếm, Hà Nội'), { district: 'Hoàn Kiếm' }), 'district in the description');
+  t.ok(utils.matchesArea(prediction('12 Lê Lợi, Quận 1, Hồ Chí Minh'), { district: 'Quận 1' }), 'numbered district in the description');
+  t.notOk(utils.matchesArea(prediction('12 Lê Lợi, Quận 10, Hồ Chí Minh'), { district: 'Quận 1' }), 'Quận 1 is not Quận 10');
+  t.notOk(utils.matchesArea(prediction('12 Lê Lợi, Quận 12, Hồ Chí Minh'), { district: 'quan 1' }), 'Quận 1 is not Quận 12');
+  t.notOk(utils.matchesArea(prediction('12 Lý Tự Trọng, Phường 1, Quận 3, Hồ Chí Minh'), { district: 'Quận 1' }), 'Phường 1 is not Quận 1');
+  t.ok(utils.matchesArea(prediction('12 Lý Tự Trọng, Phường 1, Quận 3, Hồ Chí Minh'), { commune: 'P.1', district: '3' }), 'units of the same kind');
+  t.ok(utils.matchesArea(prediction('Sơn Tây, Thành phố Hà Nội'), { province: 'Hà Nội', district: 'Sơn Tây' }), 'parts without a kind');
+  t.ok(utils.matchesArea(prediction('x', { district: 'Quận 1', province: 'Hồ Chí Minh' }), { district: 'Q.1', province: 'Thành phố Hồ Chí Minh' }), 'compound, with unit prefixes');
+  t.notOk(utils.matchesArea(prediction('Quận 1', { district: 'Quận 11' }), { district: 'Quận 1' }), 'whole units of the compound');
+  t.notOk(utils.matchesArea(prediction('36 Cát Linh, Đống Đa, Hà Nội'), { district: 'Hoàn Kiếm' }), 'another district');
+  t.ok(utils.matchesArea(prediction('x', { province: 'Thành phố Hà Nội' }), { province: 'Hà Nội' }), 'compound');
+  t.notOk(utils.matchesArea(prediction('Hoàn Kiếm', { district: 'Đống Đa' }), { district: 'Hoàn Kiếm' }), 'compound wins over the description');
+  t.ok(utils.matchesArea(prediction('1 Tràng Tiền, Hoàn Kiếm, Hà Nội'), { province: 'ha noi' }), 'without diacritics');
+  t.ok(utils.matchesArea(prediction('1 Tràng Tiền, Hoàn Kiếm, Hà Nội'), {}), 'empty area');
+  t.end();
+});
+
+test('inBounds and boundsToCircle', function (t) {
+  var bbox = [105.8, 21, 105.9, 21.1];
+  t.ok(utils.inBounds({ lat: 21.0245, lng: 105.8566 }, bbox), 'inside');
+  t.notOk(utils.inBounds({ lat: 10.7769, lng: 106.7009 }, bbox), 'outside');
+  var circle = utils.boundsToCircle(bbox);
+  t.equal(circle.latitude, 21.05);
+  t.equal(circle.longitude, 105.85);
+  t.equal(circle.radius, 8, 'reaches the corners, in kilometers');
+  t.end();
+});
+
+test('highlight', function (t) {
+  t.equal(utils.highlight('Hà Nội', 'ha noi'),
+    '<mark class="mapboxgl-ctrl-geocoder--match">Hà</mark> <mark class="mapboxgl-ctrl-geocoder--match">Nội</mark>',
+    'matches regardless of diacritics');
+  t.equal(utils.highlight('Đà Nẵng', 'da', [{ offset: 3, length: 4 }]),
+    'Đà <mark class="mapboxgl-ctrl-geocoder--match">Nẵng</mark>',
+    'API offsets take precedence');
+  t.equal(utils.highlight('<b>"A&B"</b>', ''), '&lt;b&gt;&quot;A&amp;B&quot;&lt;/b&gt;', 'escapes HTML');
+  t.equal(utils.highlight('<img>', 'img'), '&lt;<mark class="mapboxgl-ctrl-geocoder--match">img</mark>&gt;', 'escapes around matches');
+  t.equal(utils.escapeHtml(null), '', 'escapes null as empty');
+  t.end();
+});
+
+test('matchConfidence', function (t) {
+  t.equal(utils.matchConfidence('1 Trang Tien, Hoan Kiem', '1 Tràng Tiền, Hoàn Kiếm, Hà Nội'), 1, 'every word found');
+  t.equal(utils.matchConfidence('36 Cat Linh, Ba Dinh', '36 Cát Linh, Đống Đa, Hà Nội'), 0.6, 'some words found');
+  t.equal(utils.matchConfidence('', 'Hà Nội'), 0, 'empty query');
+  t.end();
+});
+
+test('distance', function (t) {
+  var hanoi = { lat: 21.0285, lng: 105.8542 };
+  var hcmc = { lat: 10.7769, lng: 106.7009 };
+  t.ok(Math.abs(utils.distance(hanoi, hcmc) - 1140) < 5, 'Hà Nội to Hồ Chí Minh is about 1140 km');
+  t.equal(utils.distance(hanoi, hanoi), 0, 'same point');
+  t.end();
+});
+
+test('bearing', function (t) {
+  var hanoi = { lat: 21.0285, lng: 105.8542 };
+  var hcmc = { lat: 10.7769, lng: 106.7009 };
+  t.ok(Math.abs(utils.bearing(hanoi, hcmc) - 175) < 2, 'heading south');
+  t.ok(Math.abs(utils.bearing({ lat: 0, lng: 0 }, { lat: 0, lng: 1 }) - 90) < 1e-9, 'heading east');
+  t.end();
+});